@@ -0,0 +1,125 @@
+const logger = require('../utils/logger');
+const { scoreWord } = require('../utils/scoring');
+const { validateTeams, getTeamScores } = require('../utils/teams');
+const ReplayEvent = require('../types/replayEvent');
+
+//the original ruleset: everyone plays at the same time, every letterAddFrequency points give the opponents another letter,
+//and the game ends when a player (or team) reaches the victory threshold or the time runs out
+
+/**
+ * Checks the settings classic needs on top of the common ones, the teams when team mode is on
+ *
+ * @param {Object} settings - The game settings
+ * @param {string[]} playerIds - The IDs of the players
+ * @returns {{valid: boolean, reason: string}}
+ */
+function validateSettings(settings, playerIds) {
+    if (settings.teamMode) {
+        return validateTeams(playerIds, settings.teams);
+    }
+    return {valid: true, reason: ''};
+}
+
+/**
+ * Gives every player their first letter
+ *
+ * @param {Object} game - The in memory game object
+ * @param {Object} context - The mode context of the game
+ */
+function setup(game, context) {
+    game.playerData.forEach((data, playerId) => {
+        data.letters = context.getStartingLetters();
+        context.recordEvent(ReplayEvent.LETTERS_DISTRIBUTED, playerId, {letters: data.letters});
+        logger.info(`Initial letters for player ${playerId}: ${data.letters}`);
+    });
+}
+
+function validateMove(game, playerId, word, context) {
+    const data = game.playerData.get(playerId);
+    return context.isValidWord(word, data.letters, data.words);
+}
+
+function scoreMove(game, playerId, word, streak) {
+    return scoreWord(word, game, streak);
+}
+
+/**
+ * Checks if a valid move ended the game, which happens when the player (or their team in team mode) reached the victory threshold
+ *
+ * @param {Object} game - The in memory game object
+ * @param {string} playerId - The ID of the player that made the move
+ * @returns {boolean} True if the game is over
+ */
+function isOver(game, playerId) {
+    if (!game.victoryThreshold || game.victoryThreshold <= 0) {
+        return false;
+    }
+    const playerData = game.playerData.get(playerId);
+    const victoryPoints = game.teamMode ? getTeamScores(game.playerData)[playerData.team] : playerData.points;
+    return victoryPoints >= game.victoryThreshold;
+}
+
+/**
+ * Every letterAddFrequency points a player makes, each of their opponents gets another letter.
+ * In team mode teammates are not opponents, and the daily challenge is played solo so the player's own letters get harder instead.
+ *
+ * @param {Object} game - The in memory game object
+ * @param {string} playerId - The ID of the player that made the move
+ * @param {Object} score - The score of the move
+ * @param {Object} context - The mode context of the game
+ */
+function afterMove(game, playerId, score, context) {
+    const playerData = game.playerData.get(playerId);
+    if (game.letterAddFrequency <= 0 || playerData.points <= game.letterAddFrequency * (playerData.letterIncreases + 1)) {
+        return;
+    }
+    playerData.letterIncreases++;
+    game.playerData.forEach((data, targetId) => {
+        const isTarget = game.dailyChallenge ? targetId === playerId : targetId !== playerId && (!game.teamMode || data.team !== playerData.team);
+        if (isTarget) {
+            context.giveLetter(targetId, playerId);
+        }
+    });
+}
+
+/**
+ * Picks the winner, the player with the most points, or in team mode the team with the most points
+ *
+ * @param {Object} game - The in memory game object
+ * @returns {{winner: string|null, winningTeam: number|null, teamScores: Object<number, number>|undefined}}
+ */
+function getResults(game) {
+    let winner = null;
+    let winningTeam = null;
+    let teamScores;
+    let highestScore = -1;
+    if (game.teamMode) {
+        teamScores = getTeamScores(game.playerData);
+        Object.entries(teamScores).forEach(([team, points]) => {
+            if (points > highestScore) {
+                highestScore = points;
+                winningTeam = Number(team);
+            }
+        });
+    } else {
+        game.playerData.forEach((data, playerId) => {
+            if (data.points > highestScore) {
+                highestScore = data.points;
+                winner = playerId;
+            }
+        });
+    }
+    return {winner, winningTeam, teamScores};
+}
+
+module.exports = {
+    name: 'classic',
+    description: 'Everyone plays at the same time, scoring gives your opponents more letters, first to the victory threshold wins',
+    validateSettings,
+    setup,
+    validateMove,
+    scoreMove,
+    isOver,
+    afterMove,
+    getResults
+};
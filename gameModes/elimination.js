@@ -0,0 +1,142 @@
+const logger = require('../utils/logger');
+const classic = require('./classic');
+const ReplayEvent = require('../types/replayEvent');
+
+//battle royale for larger lobbies: every eliminationInterval of game time the player with the fewest points is knocked out,
+//everyone that is left gets another letter, and the last player standing wins (the victory threshold doesnt apply)
+
+const MIN_PLAYERS = 3;
+const MIN_ELIMINATION_INTERVAL = 5 * 1000; //5 seconds
+const MAX_ELIMINATION_INTERVAL = 10 * 60 * 1000; //10 minutes
+
+function validateSettings(settings, playerIds) {
+    if (settings.teamMode) {
+        return {valid: false, reason: 'Elimination mode cant be played in teams'};
+    }
+    if (playerIds.length < MIN_PLAYERS) {
+        return {valid: false, reason: `Elimination mode needs at least ${MIN_PLAYERS} players`};
+    }
+    const interval = settings.eliminationInterval;
+    if (typeof interval !== 'number' || interval < MIN_ELIMINATION_INTERVAL || interval > MAX_ELIMINATION_INTERVAL) {
+        return {valid: false, reason: 'eliminationInterval must be between 5 seconds and 10 minutes'};
+    }
+    return {valid: true, reason: ''};
+}
+
+function setup(game, context) {
+    game.modeState = {eliminationOrder: []};
+    classic.setup(game, context);
+}
+
+function isOver() {
+    return false; //the game ends once a single player is left or the time runs out
+}
+
+/**
+ * Same as classic, except that players who were knocked out dont get any more letters
+ *
+ * @param {Object} game - The in memory game object
+ * @param {string} playerId - The ID of the player that made the move
+ * @param {Object} score - The score of the move
+ * @param {Object} context - The mode context of the game
+ */
+function afterMove(game, playerId, score, context) {
+    const playerData = game.playerData.get(playerId);
+    if (game.letterAddFrequency <= 0 || playerData.points <= game.letterAddFrequency * (playerData.letterIncreases + 1)) {
+        return;
+    }
+    playerData.letterIncreases++;
+    getActivePlayers(game).forEach(([targetId]) => {
+        if (targetId !== playerId) {
+            context.giveLetter(targetId, playerId);
+        }
+    });
+}
+
+/**
+ * Knocks out the lowest scorer every time another eliminationInterval of game time has passed
+ *
+ * @param {Object} game - The in memory game object
+ * @param {{elapsed: number}} status - The status of the game clock
+ * @param {Object} context - The mode context of the game
+ */
+function onTick(game, status, context) {
+    const eliminationsDue = Math.floor(status.elapsed / game.modeSettings.eliminationInterval);
+    if (eliminationsDue <= game.modeState.eliminationOrder.length) {
+        return;
+    }
+    const activePlayers = getActivePlayers(game);
+    //the lowest scorer goes, ties go to whoever found fewer words and then to whoever joined last
+    const [playerId, data] = activePlayers.reduce((lowest, entry) => {
+        const [, lowestData] = lowest;
+        const [, entryData] = entry;
+        if (entryData.points !== lowestData.points) {
+            return entryData.points < lowestData.points ? entry : lowest;
+        }
+        return entryData.words.length <= lowestData.words.length ? entry : lowest;
+    });
+    data.eliminated = true;
+    data.isPlaying = false;
+    data.written = '';
+    data.placement = activePlayers.length;
+    game.modeState.eliminationOrder.push(playerId);
+    context.recordEvent(ReplayEvent.ELIMINATED, playerId, {points: data.points, placement: data.placement});
+    logger.info(`Player ${playerId} was eliminated from game ${game.id} with ${data.points} points, placement ${data.placement}`);
+
+    const remainingPlayers = activePlayers.filter(([id]) => id !== playerId);
+    context.emit('player_eliminated', {
+        playerId: playerId,
+        username: data.username,
+        points: data.points,
+        placement: data.placement,
+        remaining: remainingPlayers.map(([id]) => id)
+    });
+    if (remainingPlayers.length <= 1) {
+        context.endGame();
+        return;
+    }
+    remainingPlayers.forEach(([id]) => context.giveLetter(id, null));
+    context.broadcastState();
+}
+
+/**
+ * The players still standing are placed by their points, the knocked out players keep the place they were knocked out at
+ *
+ * @param {Object} game - The in memory game object
+ * @returns {{winner: string|null, eliminationOrder: string[], placements: Object<string, number>}}
+ */
+function getResults(game) {
+    const standings = getActivePlayers(game).sort(([, a], [, b]) => b.points - a.points);
+    const placements = {};
+    standings.forEach(([playerId], index) => {
+        placements[playerId] = index + 1;
+    });
+    game.modeState.eliminationOrder.forEach(playerId => {
+        placements[playerId] = game.playerData.get(playerId).placement;
+    });
+    return {
+        winner: standings.length > 0 ? standings[0][0] : null,
+        eliminationOrder: [...game.modeState.eliminationOrder],
+        placements
+    };
+}
+
+function getActivePlayers(game) {
+    return Array.from(game.playerData.entries()).filter(([, data]) => !data.eliminated);
+}
+
+module.exports = {
+    name: 'elimination',
+    description: 'The lowest scorer is knocked out at a fixed interval and everyone left gets another letter, the last player standing wins',
+    defaultSettings: {
+        eliminationInterval: 30 * 1000 //30 seconds
+    },
+    validateSettings,
+    setup,
+    validateMove: classic.validateMove,
+    scoreMove: classic.scoreMove,
+    isOver,
+    afterMove,
+    onTick,
+    getResults
+};
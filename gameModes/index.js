@@ -0,0 +1,99 @@
+const classic = require('./classic');
+const elimination = require('./elimination');
+
+const DEFAULT_GAME_MODE = 'classic';
+const REQUIRED_HOOKS = ['setup', 'validateMove', 'scoreMove', 'isOver', 'afterMove', 'getResults'];
+
+const gameModes = new Map(); //maps mode names to their definitions, in the order they were registered
+
+/**
+ * Registers a game mode so games can be created with it by name.
+ * A mode is an object with a name and the hooks the game socket calls while running a game:
+ * - defaultSettings (optional) - the settings only this mode uses and their defaults, they are kept on the game as game.modeSettings
+ * - validateSettings(settings, playerIds) -> {valid, reason} (optional) - checks the settings when a game is created
+ * - setup(game, context) - called when the game starts, gives the players their letters
+ * - validateMove(game, playerId, word, context) -> {valid, reason} - checks a submitted word
+ * - scoreMove(game, playerId, word, streak) -> score - scores a valid word, see utils/scoring.js for the score format
+ * - isOver(game, playerId) -> boolean - called after every valid move, true ends the game (running out of time always ends it)
+ * - afterMove(game, playerId, score, context) - applies the effects of a valid move that didnt end the game
+ * - onTick(game, status, context) (optional) - called every second while the game clock runs, status is {elapsed, remaining, duration}
+ * - getResults(game) -> {winner, placements?, ...} - called when the game ends, everything returned is sent with game_ended,
+ *   placements (player ID -> place) are also saved on the players of the Game document
+ *
+ * The context gives the hooks access to the game's dictionary, letters and replay log:
+ * {isValidWord(word, letters, usedWords), getStartingLetters(), giveLetter(playerId, by), recordEvent(type, playerId, data), emit(event, data), broadcastState(), endGame()}
+ * giveLetter adds the next letter to a player's letters (unless their shield power up blocks it) and records it, by is the player that caused it or null
+ * A mode can take a player out of the game by setting eliminated (and isPlaying to false) on their player data, they can then only watch.
+ *
+ * @param {Object} mode - The game mode definition
+ * @throws {Error} If the mode is missing a name or a hook, or a mode with the same name is already registered
+ * @example
+ * registerGameMode({ ...classic, name: 'sprint', isOver: (game, playerId) => game.playerData.get(playerId).words.length >= 10 });
+ */
+function registerGameMode(mode) {
+    if (!mode || typeof mode.name !== 'string' || !mode.name) {
+        throw new Error('A game mode must have a name');
+    }
+    if (gameModes.has(mode.name)) {
+        throw new Error(`Game mode ${mode.name} is already registered`);
+    }
+    const missingHooks = REQUIRED_HOOKS.filter(hook => typeof mode[hook] !== 'function');
+    if (missingHooks.length > 0) {
+        throw new Error(`Game mode ${mode.name} is missing: ${missingHooks.join(', ')}`);
+    }
+    gameModes.set(mode.name, Object.freeze({...mode}));
+}
+
+function getGameMode(name) {
+    return gameModes.get(name);
+}
+
+function isValidGameMode(name) {
+    return gameModes.has(name);
+}
+
+function getGameModeNames() {
+    return Array.from(gameModes.keys());
+}
+
+/**
+ * Picks the settings only the mode uses out of the game settings, filling in the mode's defaults
+ *
+ * @param {Object} mode - The game mode definition
+ * @param {Object} settings - The game settings
+ * @returns {Object} The mode settings
+ */
+function getModeSettings(mode, settings) {
+    return Object.fromEntries(Object.entries(mode.defaultSettings || {}).map(([key, value]) => [key, settings[key] !== undefined ? settings[key] : value]));
+}
+
+/**
+ * Checks that a game can be played with the given settings and players in the mode the settings name
+ *
+ * @param {Object} settings - The game settings, including the mode name
+ * @param {string[]} playerIds - The IDs of the players
+ * @returns {{valid: boolean, reason: string}}
+ */
+function validateGameModeSettings(settings, playerIds) {
+    const mode = gameModes.get(settings.mode);
+    if (!mode) {
+        return {valid: false, reason: `mode must be one of: ${getGameModeNames().join(', ')}`};
+    }
+    if (!mode.validateSettings) {
+        return {valid: true, reason: ''};
+    }
+    return mode.validateSettings({...settings, ...getModeSettings(mode, settings)}, playerIds);
+}
+
+registerGameMode(classic);
+registerGameMode(elimination);
+
+module.exports = {
+    DEFAULT_GAME_MODE,
+    registerGameMode,
+    getGameMode,
+    isValidGameMode,
+    getGameModeNames,
+    getModeSettings,
+    validateGameModeSettings
+};
@@ -0,0 +1,10 @@
+const path = require('path');
+const { createAlphabet } = require('../utils/alphabet');
+
+module.exports = {
+    code: 'de',
+    name: 'Deutsch',
+    alphabet: createAlphabet('abcdefghijklmnopqrstuvwxyzäöüß'),
+    wordsPath: path.join(__dirname, 'de', 'words.txt'),
+    definitionsPath: path.join(__dirname, 'de', 'definitions.txt')
+};
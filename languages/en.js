@@ -0,0 +1,10 @@
+const path = require('path');
+const { createAlphabet } = require('../utils/alphabet');
+
+module.exports = {
+    code: 'en',
+    name: 'English',
+    alphabet: createAlphabet('abcdefghijklmnopqrstuvwxyz'),
+    wordsPath: path.join(__dirname, '..', 'utils', 'words.txt'), //the original english word list
+    definitionsPath: path.join(__dirname, '..', 'utils', 'definitions.txt')
+};
@@ -0,0 +1,12 @@
+const path = require('path');
+const { createAlphabet } = require('../utils/alphabet');
+
+const ACCENTS = {'á': 'a', 'é': 'e', 'í': 'i', 'ó': 'o', 'ú': 'u', 'ü': 'u'}; //accented vowels count as the plain vowel, ñ is a letter of its own
+
+module.exports = {
+    code: 'es',
+    name: 'Español',
+    alphabet: createAlphabet('abcdefghijklmnñopqrstuvwxyz', text => text.replace(/[áéíóúü]/g, letter => ACCENTS[letter])),
+    wordsPath: path.join(__dirname, 'es', 'words.txt'),
+    definitionsPath: path.join(__dirname, 'es', 'definitions.txt')
+};
@@ -0,0 +1,14 @@
+const path = require('path');
+const { createAlphabet } = require('../utils/alphabet');
+
+const FINAL_FORMS = {'ך': 'כ', 'ם': 'מ', 'ן': 'נ', 'ף': 'פ', 'ץ': 'צ'}; //final letters count as their regular form
+
+module.exports = {
+    code: 'he',
+    name: 'עברית',
+    alphabet: createAlphabet('אבגדהוזחטיכלמנסעפצקרשת', text => text
+        .replace(/[\u0591-\u05C7]/g, '') //vowel points and cantillation marks
+        .replace(/[ךםןףץ]/g, letter => FINAL_FORMS[letter])),
+    wordsPath: path.join(__dirname, 'he', 'words.txt'),
+    definitionsPath: path.join(__dirname, 'he', 'definitions.txt')
+};
@@ -0,0 +1,100 @@
+const fs = require('fs');
+const en = require('./en');
+const es = require('./es');
+const de = require('./de');
+const he = require('./he');
+
+const DEFAULT_LANGUAGE = 'en';
+
+const languages = new Map(); //maps language codes to their definitions, in the order they were registered
+
+/**
+ * Registers a language so games can be played in it.
+ * A language is an object with:
+ * - code - the language code used in the language game setting, e.g. "es"
+ * - name - the name of the language in the language itself
+ * - alphabet - the letter helpers from createAlphabet in utils/alphabet.js
+ * - wordsPath - the word list, one word per line
+ * - definitionsPath (optional) - a file with short definitions of the words, see loadDefinitions in utils/wordUtils.js, the file itself can be missing
+ * - minValidWords (optional) - how many words must contain a letter combo for it to be handed out (default: 2.5% of the words)
+ * - maxDepth (optional) - the most letters a player can have (default: 4)
+ * The word list is only read when the language's lexicon is first used (see utils/lexicon.js), a language whose word list is missing is registered but not installed.
+ *
+ * @param {Object} language - The language definition
+ * @throws {Error} If the definition is incomplete or a language with the same code is already registered
+ */
+function registerLanguage(language) {
+    if (!language || typeof language.code !== 'string' || !language.code) {
+        throw new Error('A language must have a code');
+    }
+    if (languages.has(language.code)) {
+        throw new Error(`Language ${language.code} is already registered`);
+    }
+    const missingFields = ['name', 'alphabet', 'wordsPath'].filter(field => !language[field]);
+    if (missingFields.length > 0) {
+        throw new Error(`Language ${language.code} is missing: ${missingFields.join(', ')}`);
+    }
+    languages.set(language.code, Object.freeze({...language}));
+}
+
+function getLanguage(code) {
+    return languages.get(code);
+}
+
+function isValidLanguage(code) {
+    return languages.has(code);
+}
+
+/**
+ * Checks if the word list of a language is on the server
+ *
+ * @param {string} code - The language code
+ * @returns {boolean} True if the language can be played
+ */
+function isLanguageInstalled(code) {
+    const language = languages.get(code);
+    return !!language && fs.existsSync(language.wordsPath);
+}
+
+/**
+ * Returns every registered language
+ *
+ * @returns {{code: string, name: string, installed: boolean}[]} The languages in the order they were registered
+ */
+function getLanguages() {
+    return Array.from(languages.values()).map(language => ({
+        code: language.code,
+        name: language.name,
+        installed: isLanguageInstalled(language.code)
+    }));
+}
+
+/**
+ * Checks the language setting of a game
+ *
+ * @param {string} code - The language code
+ * @returns {{valid: boolean, reason: string}}
+ */
+function validateLanguage(code) {
+    if (!isValidLanguage(code)) {
+        return {valid: false, reason: `language must be one of: ${Array.from(languages.keys()).join(', ')}`};
+    }
+    if (!isLanguageInstalled(code)) {
+        return {valid: false, reason: `${languages.get(code).name} is not installed on this server`};
+    }
+    return {valid: true, reason: ''};
+}
+
+registerLanguage(en);
+//only english ships with its word list, the other languages are registered once their word list is put in place
+[es, de, he].filter(language => fs.existsSync(language.wordsPath)).forEach(registerLanguage);
+
+module.exports = {
+    DEFAULT_LANGUAGE,
+    registerLanguage,
+    getLanguage,
+    isValidLanguage,
+    isLanguageInstalled,
+    getLanguages,
+    validateLanguage
+};
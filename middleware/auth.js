@@ -27,6 +27,26 @@ const apiAuth = (req, res, next) => {
     }
 };
 
+/**
+ * Lets only moderators through, has to come after apiAuth
+ * @param {Object} req - Express request, req.user is set by apiAuth
+ * @param {Object} res - Express response
+ * @param {Function} next - Callback function to proceed to the next middleware
+ */
+const moderatorAuth = async (req, res, next) => {
+    try {
+      const user = await User.findById(req.user.id).select('isModerator');
+      if (!user || !user.isModerator) {
+        logger.warn(`User ${req.user.id} tried to access a moderator route`);
+        return res.status(403).json({ message: 'Only moderators can access this route' });
+      }
+      next();
+    } catch (error) {
+      logger.error('Error checking moderator access:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+};
+
 /**
  * Authentication middleware for Socket.io
  * @param {Object} socket - Socket.io socket instance
@@ -74,6 +94,7 @@ async function socketAuth(socket, next) {
 
 module.exports = {
     apiAuth,
+    moderatorAuth,
     socketAuth,
     JWT_SECRET
 };
\ No newline at end of file
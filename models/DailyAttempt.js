@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+//one document per user per daily challenge, the unique index is what limits every account to a single attempt per day
+const dailyAttemptSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    date: { //the day of the challenge in UTC, e.g. "2025-01-31"
+        type: String,
+        required: true
+    },
+    game: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Game'
+    },
+    points: {
+        type: Number,
+        default: 0
+    },
+    wordCount: {
+        type: Number,
+        default: 0
+    },
+    completed: { //set once the game is over, only completed attempts show up on the leaderboard
+        type: Boolean,
+        default: false
+    },
+    finishedAt: {
+        type: Date
+    }
+}, {
+    timestamps: true
+});
+
+dailyAttemptSchema.index({ user: 1, date: 1 }, { unique: true });
+dailyAttemptSchema.index({ date: 1, completed: 1, points: -1, finishedAt: 1 });
+dailyAttemptSchema.index({ game: 1 });
+
+module.exports = mongoose.model('DailyAttempt', dailyAttemptSchema);
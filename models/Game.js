@@ -1,22 +1,49 @@
 const mongoose = require('mongoose');
 const GameState = require('../types/gameState');
+const ScoringRule = require('../types/scoringRule');
+const ReplayEvent = require('../types/replayEvent');
+const PowerUp = require('../types/powerUp');
 
 const Schema = mongoose.Schema;
 
-//the reuired fields only says that there needs to be either a user reference or a guestId
+//the reuired fields only says that there needs to be either a user reference, a guestId or a bot id
 const winnerSchema = new Schema({
     user: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
       required: function() {
-        return !this.guestId;
+        return !this.guestId && !this.bot;
       }
     },
     guestId: {
       type: String,
       required: function() {
-        return !this.user;
+        return !this.user && !this.bot;
       }
+    },
+    bot: { //id of a server side bot player, e.g. "bot-hard-3f2a9c1e"
+      type: String
+    }
+}, { _id: false });
+
+//a single entry of the replay log, t is the time in milliseconds since the letters were distributed
+const replayEventSchema = new Schema({
+    t: {
+        type: Number,
+        required: true
+    },
+    type: {
+        type: String,
+        enum: Object.values(ReplayEvent),
+        required: true
+    },
+    playerId: { //user id or guest id, null for events that dont belong to a player (e.g. the game ending)
+        type: String,
+        default: null
+    },
+    data: {
+        type: Schema.Types.Mixed,
+        default: {}
     }
 }, { _id: false });
 
@@ -52,20 +79,112 @@ const gameSchema = new Schema({
             return Math.floor(value);
         }
     },
+    scoringRule: {
+        type: String, //how each valid word is scored, see types/scoringRule.js
+        enum: Object.values(ScoringRule),
+        default: ScoringRule.FLAT
+    },
+    streakMultiplier: {
+        type: Boolean, //whether consecutive valid words multiply the points
+        default: false
+    },
+    reconnectGracePeriod: {
+        type: Number, //how long a disconnected player has to come back in milliseconds before the game continues without them
+        default: 10 * 1000,
+        min: 1000,
+        max: 5 * 60 * 1000,
+        set: function(value) {
+            return Math.floor(value);
+        }
+    },
+    mode: { //name of the game mode the game was played in, see gameModes/
+        type: String,
+        default: 'classic'
+    },
+    modeSettings: { //the settings only the game's mode uses, e.g. eliminationInterval
+        type: Schema.Types.Mixed
+    },
+    eliminationOrder: { //elimination mode: the IDs of the players in the order they were knocked out
+        type: [String],
+        default: undefined
+    },
+    teamMode: {
+        type: Boolean, //whether the players play in teams, letter increases only hit the opposing teams and a team wins instead of a player
+        default: false
+    },
+    revealOpponentInput: { //whether the players could see the letters and the typed text of their opponents during the game
+        type: Boolean,
+        default: false
+    },
+    powerUps: { //the power ups the players could use
+        type: [{
+            type: String,
+            enum: Object.values(PowerUp)
+        }],
+        default: []
+    },
+    powerUpChargePoints: { //how many points earned a power up charge
+        type: Number,
+        default: 10,
+        min: 1,
+        max: 999
+    },
+    hintLimit: { //how many hints every player could get, 0 if hints were disabled
+        type: Number,
+        default: 3,
+        min: 0,
+        max: 99
+    },
+    hintCost: { //how many points a hint cost
+        type: Number,
+        default: 2,
+        min: 0,
+        max: 999
+    },
+    fairStart: { //whether every player started with letters of the same difficulty band
+        type: Boolean,
+        default: false
+    },
+    incrementDifficultyMin: { //the range of difficulties (0 easiest to 1 hardest) the letters added during the game were picked from
+        type: Number,
+        default: 0,
+        min: 0,
+        max: 1
+    },
+    incrementDifficultyMax: {
+        type: Number,
+        default: 1,
+        min: 0,
+        max: 1
+    },
+    language: { //the language code of the dictionary and the letters, see languages/
+        type: String,
+        default: 'en'
+    },
+    dailyChallenge: { //the date (UTC, e.g. "2025-01-31") of the daily challenge this game is an attempt at, unset for regular games
+        type: String
+    },
+    isPublic: { //whether anyone can look up the results and the replay of the game, otherwise only its players can
+        type: Boolean,
+        default: false
+    },
     players: [{
         user: {
             type: mongoose.Schema.Types.ObjectId,
             ref: 'User',
             required: function() {
-                return !this.guestId;
+                return !this.guestId && !this.bot;
             }
         },
         guestId: {
             type: String,
             required: function() {
-                return !this.user;
+                return !this.user && !this.bot;
             }
         },
+        bot: { //id of a server side bot player, e.g. "bot-hard-3f2a9c1e"
+            type: String
+        },
         points: {
             type: Number,
             default: 0
@@ -73,6 +192,27 @@ const gameSchema = new Schema({
         letters: { //the last letters that player had, example: "ths" (the player had the letters: t, h, s)
             type: String,
             default: ""
+        },
+        username: { //snapshot of the username at the time of the game, guests have no other place to look it up
+            type: String
+        },
+        words: [{ //the accepted words in the order they were played
+            type: String
+        }],
+        revokedWords: [{ //accepted words that were taken back (with their points) because a challenge against them was upheld
+            type: String
+        }],
+        team: { //the team number of the player, only set in team mode
+            type: Number,
+            min: 1
+        },
+        placement: { //the final place of the player, only set in modes that rank every player (elimination)
+            type: Number,
+            min: 1
+        },
+        finished: { //false if the player left the game before it ended
+            type: Boolean,
+            default: false
         }
     }],
     state: {
@@ -84,7 +224,14 @@ const gameSchema = new Schema({
         type: Number, //time the game took in milliseconds
         default: 0
     },
-    winner: winnerSchema,
+    winner: winnerSchema, //not set in team mode, see winningTeam
+    winningTeam: { //the team number of the team with the most points, only set in team mode
+        type: Number
+    },
+    events: [replayEventSchema], //the replay log, only written once the game is over
+    startTime: { //the moment the letters were distributed, the replay times are relative to it
+        type: Date
+    },
     endTime: {
         type: Date
     },
@@ -98,6 +245,8 @@ const gameSchema = new Schema({
     }
 });
 
+gameSchema.index({ 'players.user': 1, createdAt: -1 });
+
 gameSchema.pre('save', function(next) { //ensure that the updated date is accurate
     this.updatedAt = Date.now();
     next();
@@ -27,6 +27,10 @@ const UserSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   }],
+  isModerator: { //moderators can review and resolve word challenges
+    type: Boolean,
+    default: false
+  },
   isOnline: {
     type: Boolean,
     default: false
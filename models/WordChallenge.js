@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+const ChallengeStatus = require('../types/challengeStatus');
+
+//a vote of a player on a challenge, neither the challenger nor the player who played the word can vote
+const challengeVoteSchema = new mongoose.Schema({
+    playerId: { //user id or guest id
+        type: String,
+        required: true
+    },
+    uphold: {
+        type: Boolean,
+        required: true
+    }
+}, { _id: false });
+
+//one document per challenged word, written once the players voted on it after the game, the unreviewed ones are the moderators' review queue
+const wordChallengeSchema = new mongoose.Schema({
+    game: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Game',
+        required: true
+    },
+    language: { //the language code of the game's dictionary
+        type: String,
+        default: 'en'
+    },
+    word: { //the word the way it was played
+        type: String,
+        required: true
+    },
+    playerId: { //user id, guest id or bot id of the player who played the word
+        type: String,
+        required: true
+    },
+    username: { //snapshot of the username of the player who played the word
+        type: String
+    },
+    challengedBy: { //user id or guest id of the player who flagged the word
+        type: String,
+        required: true
+    },
+    points: { //the points the word scored, taken back while the challenge is upheld
+        type: Number,
+        default: 0
+    },
+    votes: [challengeVoteSchema],
+    status: { //the outcome of the players' vote (pending if nobody could vote) until a moderator resolves the challenge
+        type: String,
+        enum: Object.values(ChallengeStatus),
+        required: true
+    },
+    reviewed: { //set once a moderator resolved the challenge
+        type: Boolean,
+        default: false
+    },
+    reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    reviewedAt: {
+        type: Date
+    },
+    note: { //the moderator's reason for the decision
+        type: String,
+        maxlength: 500
+    }
+}, {
+    timestamps: true
+});
+
+wordChallengeSchema.index({ reviewed: 1, createdAt: 1 });
+wordChallengeSchema.index({ game: 1 });
+
+module.exports = mongoose.model('WordChallenge', wordChallengeSchema);
@@ -1,10 +1,35 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const logger = require('../utils/logger');
 const router = express.Router();
-const { loadDictionary, loadLetterTreeSync, getNextTierCombos, isValidWord } = require('../utils/wordUtils');
+const { Game } = require('../models/Game');
+const GameState = require('../types/gameState');
+const { apiAuth, moderatorAuth } = require('../middleware/auth');
+const { getNextTierCombos, isValidWord } = require('../utils/wordUtils');
+const DailyAttempt = require('../models/DailyAttempt');
+const WordChallenge = require('../models/WordChallenge');
+const ChallengeStatus = require('../types/challengeStatus');
+const { resolveChallenge } = require('../utils/wordChallenges');
+const { DAILY_CHALLENGE_SETTINGS, getChallengeDate, isValidChallengeDate, getChallengeSeed } = require('../utils/dailyChallenge');
+const gameModule = require('../socket/gameSocket');
+const { DEFAULT_LANGUAGE, getLanguages, validateLanguage } = require('../languages');
+const { getLexicon, isLexiconLoaded } = require('../utils/lexicon');
+const { DEFAULT_SAMPLE_SIZE } = require('../utils/wordStats');
 
-const dict = loadDictionary();
-const tree = loadLetterTreeSync(); //TODO: move to server wide
+const lexicon = getLexicon(); //the same english lexicon the games use
+const MAX_WORD_LENGTH = 45;
+const MAX_LETTERS = 26; //the english alphabet
+const MAX_NOTE_LENGTH = 500;
+
+/**
+ * Builds the query for a game the user is allowed to look at: a game they played in, or a game marked public
+ * @param {string} id - The ID of the game
+ * @param {string} userId - The ID of the authenticated user
+ * @returns {Object} The mongo filter
+ */
+function visibleGameFilter(id, userId) {
+    return { _id: id, $or: [{ 'players.user': userId }, { isPublic: true }] };
+}
 
 router.post('/validate', async (req, res) => {
     const { word, letters } = req.body;
@@ -18,14 +43,14 @@ router.post('/validate', async (req, res) => {
     if (word.length < letters.length) {
         return res.status(400).json({ error: 'Word length must be greater than or equal to the number of letters', word, letters });
     }
-    if (word.length > 45) {
-        return res.status(400).json({ error: 'Word length must be less than or equal to 45', word });
+    if (word.length > MAX_WORD_LENGTH) {
+        return res.status(400).json({ error: `Word length must be less than or equal to ${MAX_WORD_LENGTH}`, word });
     }
-    if (letters.length > 26) {
+    if (letters.length > MAX_LETTERS) {
         return res.status(400).json({ error: 'Letters contains more letters than the english alphabet', letters });
     }
     try {
-        const result = isValidWord(word, letters, dict);
+        const result = isValidWord(word, letters, lexicon);
         if (result.valid) {
             logger.info(`Word: ${word} is valid with letters: ${letters}`);
             return res.status(200).json({success: true});
@@ -51,11 +76,11 @@ router.get('/next-combos', async (req, res) => {
     if (typeof lettersFinal !== 'string' || !/^[a-zA-Z]+$/.test(lettersFinal)) {
         return res.status(400).json({ error: 'Letters must be a string and only contain letters', lettersFinal });
     }
-    if (lettersFinal.length > 26) {
+    if (lettersFinal.length > MAX_LETTERS) {
         return res.status(400).json({ error: 'Letters contains more letters than the english alphabet', lettersFinal });
     }
     try {
-        const result = getNextTierCombos(tree, lettersFinal);
+        const result = getNextTierCombos(lexicon.letterTree, lettersFinal);
         logger.info(`Next tier combos for letters: ${lettersFinal} are: ${result}`);
         return res.status(200).json(result);
     } catch (error) {
@@ -64,4 +89,532 @@ router.get('/next-combos', async (req, res) => {
     }
 });
 
+/**
+ * Get the words that contain all of the given letters, for practicing and reviewing games
+ * @route GET /api/game/words
+ * @param {string} letters - The letters every word must contain, checked like the letters of /validate
+ * @param {number} [minLength] - Only return words with at least this many letters
+ * @param {string} [startsWith] - Only return words that start with these letters
+ * @param {number} [page=1] - Page number for pagination
+ * @param {number} [limit=50] - Words per page (max 200)
+ * @returns {Object} The total number of matching words, the current page of them in alphabetical order, and samples of the longest and rarest ones
+ * @example
+ * // Request
+ * GET /api/game/words?letters=qz&minLength=6&page=1&limit=3
+ *
+ * // Response
+ * {
+ *   "letters": "qz",
+ *   "total": 196,
+ *   "words": ["antiquarianize", "aquotization", "aquotize"],
+ *   "samples": { "longest": ["benzofuroquinoxaline", ...], "rare": ["belshazzaresque", ...] },
+ *   "pagination": { "total": 196, "page": 1, "limit": 3, "pages": 66 }
+ * }
+ */
+router.get('/words', async (req, res) => {
+    const { letters, minLength, startsWith } = req.query;
+    if (!letters) {
+        return res.status(400).json({ error: 'Letters are required' });
+    }
+    if (typeof letters !== 'string' || !/^[a-zA-Z]+$/.test(letters)) {
+        return res.status(400).json({ error: 'Letters must be a string and only contain letters', letters });
+    }
+    if (letters.length > MAX_LETTERS) {
+        return res.status(400).json({ error: 'Letters contains more letters than the english alphabet', letters });
+    }
+    const minimumLength = minLength === undefined ? 1 : Number(minLength);
+    if (!Number.isInteger(minimumLength) || minimumLength < 1 || minimumLength > MAX_WORD_LENGTH) {
+        return res.status(400).json({ error: `minLength must be a whole number between 1 and ${MAX_WORD_LENGTH}`, minLength });
+    }
+    if (startsWith !== undefined && (typeof startsWith !== 'string' || !/^[a-zA-Z]+$/.test(startsWith) || startsWith.length > MAX_WORD_LENGTH)) {
+        return res.status(400).json({ error: `startsWith must only contain letters and be at most ${MAX_WORD_LENGTH} letters long`, startsWith });
+    }
+    try {
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+        const prefix = startsWith ? startsWith.toLowerCase() : '';
+        const accept = word => word.length >= minimumLength && word.startsWith(prefix);
+        const words = lexicon.findSortedWords(letters, { accept }); //the lexicon keeps its words in order, so this is a single scan
+        const total = words.length;
+
+        res.json({
+            letters: letters.toLowerCase(),
+            total,
+            words: words.slice((page - 1) * limit, page * limit),
+            samples: {
+                longest: lexicon.findSortedWords(letters, { order: 'longest', count: DEFAULT_SAMPLE_SIZE, accept }),
+                rare: lexicon.findSortedWords(letters, { order: 'rarest', count: DEFAULT_SAMPLE_SIZE, accept })
+            },
+            pagination: {
+                total,
+                page,
+                limit,
+                pages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        logger.error(`Error looking up the words for letters ${letters}: ${error}`);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * Get the short definition of a word from the offline definitions file of its language
+ * @route GET /api/game/define/:word
+ * @param {string} word - The word to define, it must only contain letters of the language's alphabet
+ * @param {string} [language=en] - The language code of the word, see /languages
+ * @returns {Object} The word and its definition, the definition is null if the definitions file doesnt have the word
+ * @example
+ * // Request
+ * GET /api/game/define/aardvark
+ *
+ * // Response
+ * { "word": "aardvark", "language": "en", "definition": "A burrowing African mammal that eats ants" }
+ */
+router.get('/define/:word', (req, res) => {
+    const { word } = req.params;
+    const language = req.query.language === undefined ? DEFAULT_LANGUAGE : req.query.language;
+    const languageValidation = validateLanguage(language);
+    if (!languageValidation.valid) {
+        return res.status(400).json({ error: languageValidation.reason, language });
+    }
+    if (!isLexiconLoaded(language)) { //loading a dictionary would hold up every request and game for seconds, only the ones loaded at startup are served
+        return res.status(400).json({ error: `${language} is not installed on this server`, language });
+    }
+    if (word.length > MAX_WORD_LENGTH) {
+        return res.status(400).json({ error: `Word length must be less than or equal to ${MAX_WORD_LENGTH}`, word });
+    }
+    try {
+        const languageLexicon = getLexicon(language);
+        if (!languageLexicon.alphabet.isInAlphabet(word)) {
+            return res.status(400).json({ error: 'Word must only contain letters', word, language });
+        }
+        if (!languageLexicon.has(word)) {
+            return res.status(404).json({ error: `${word} is not a word`, word, language });
+        }
+        res.status(200).json({ word: word.toLowerCase().normalize('NFC'), language, definition: languageLexicon.define(word) });
+    } catch (error) {
+        logger.error(`Error defining the ${language} word ${word}: ${error}`);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * Get the languages games can be played in
+ * @route GET /api/game/languages
+ * @returns {Object[]} The registered languages, only the installed ones can be picked in the game settings
+ * @example
+ * // Response
+ * [{ "code": "en", "name": "English", "installed": true }, { "code": "es", "name": "Español", "installed": true }]
+ */
+router.get('/languages', (req, res) => {
+    res.status(200).json(getLanguages());
+});
+
+/**
+ * Get the finished games of the authenticated user, newest first
+ * @route GET /api/game/history
+ * @param {number} [page=1] - Page number for pagination
+ * @param {number} [limit=10] - Results per page (max 50)
+ * @param {string} [opponent] - Only return games that were played against this user ID
+ * @param {string} [from] - Only return games created at or after this date (ISO string)
+ * @param {string} [to] - Only return games created at or before this date (ISO string)
+ * @returns {Object} Object containing games array and pagination metadata
+ * @example
+ * // Request
+ * GET /api/game/history?page=1&limit=10&opponent=60d0fe4f5311236168a109cb
+ * Authorization: Bearer <token>
+ * 
+ * // Response
+ * {
+ *   "games": [
+ *     {
+ *       "_id": "60d0fe4f5311236168a109ff",
+ *       "state": "completed",
+ *       "players": [
+ *         { "user": { "_id": "60d0fe4f5311236168a109ca", "username": "johndoe" }, "username": "johndoe", "points": 12, "letters": "aest", "words": ["seat", ...], "finished": true }
+ *       ],
+ *       "winner": { "user": { "_id": "60d0fe4f5311236168a109ca", "username": "johndoe" } },
+ *       "endTime": "2023-07-15T10:32:45.123Z",
+ *       ...
+ *     }
+ *   ],
+ *   "pagination": {
+ *     "total": 25,
+ *     "page": 1,
+ *     "limit": 10,
+ *     "pages": 3
+ *   }
+ * }
+ */
+router.get('/history', apiAuth, async (req, res) => {
+    try {
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+        const skip = (page - 1) * limit;
+        const { opponent, from, to } = req.query;
+
+        const filter = {
+            'players.user': req.user.id,
+            state: { $in: [GameState.COMPLETED, GameState.ABANDONED] }
+        };
+        if (opponent) {
+            if (!mongoose.Types.ObjectId.isValid(opponent)) {
+                return res.status(400).json({ error: 'opponent must be a valid user id', opponent });
+            }
+            filter['players.user'] = { $all: [req.user.id, opponent] };
+        }
+        if (from || to) {
+            filter.createdAt = {};
+            if (from) {
+                const fromDate = new Date(from);
+                if (isNaN(fromDate.getTime())) {
+                    return res.status(400).json({ error: 'from must be a valid date', from });
+                }
+                filter.createdAt.$gte = fromDate;
+            }
+            if (to) {
+                const toDate = new Date(to);
+                if (isNaN(toDate.getTime())) {
+                    return res.status(400).json({ error: 'to must be a valid date', to });
+                }
+                filter.createdAt.$lte = toDate;
+            }
+        }
+
+        const games = await Game.find(filter)
+            .select('-events')
+            .populate('players.user', '_id username')
+            .populate('winner.user', '_id username')
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(limit)
+            .lean();
+        const total = await Game.countDocuments(filter);
+
+        logger.debug(`Game history retrieved for user ${req.user.id} (page ${page}, ${games.length} games)`);
+        res.json({
+            games,
+            pagination: {
+                total,
+                page,
+                limit,
+                pages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        logger.error(`Error retrieving game history for user ${req.user.id}: ${error}`);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * Get today's daily challenge and the authenticated user's attempt at it
+ * @route GET /api/game/daily
+ * @returns {Object} The date of the challenge, its fixed settings and whether the user already played it
+ * @example
+ * // Request
+ * GET /api/game/daily
+ * Authorization: Bearer <token>
+ * 
+ * // Response
+ * {
+ *   "date": "2025-01-31",
+ *   "settings": { "gameDuration": 120000, "letterAddFrequency": 10, "victoryThreshold": 0, "scoringRule": "per_letter", "streakMultiplier": false },
+ *   "attempted": false,
+ *   "attempt": null
+ * }
+ */
+router.get('/daily', apiAuth, async (req, res) => {
+    try {
+        const date = getChallengeDate();
+        const attempt = await DailyAttempt.findOne({ user: req.user.id, date }).lean();
+        res.json({
+            date,
+            settings: DAILY_CHALLENGE_SETTINGS,
+            attempted: !!attempt,
+            attempt
+        });
+    } catch (error) {
+        logger.error(`Error retrieving the daily challenge for user ${req.user.id}: ${error}`);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * Start the authenticated user's single attempt at today's daily challenge
+ * @route POST /api/game/daily/start
+ * @returns {Object} The ID of the created game to connect to the /game namespace with, 409 if the user already played today
+ * @example
+ * // Request
+ * POST /api/game/daily/start
+ * Authorization: Bearer <token>
+ * 
+ * // Response (201)
+ * {
+ *   "gameId": "60d0fe4f5311236168a109ff",
+ *   "date": "2025-01-31",
+ *   "settings": { "gameDuration": 120000, ... }
+ * }
+ */
+router.post('/daily/start', apiAuth, async (req, res) => {
+    const date = getChallengeDate();
+    let attempt;
+    try {
+        //the unique index on user and date makes sure there is only one attempt per day, even with concurrent requests
+        attempt = await DailyAttempt.create({ user: req.user.id, date });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({ error: 'You already played the daily challenge today', date });
+        }
+        logger.error(`Error creating daily challenge attempt for user ${req.user.id}: ${error}`);
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+    try {
+        const gameId = await gameModule.createGame([req.user.id], {
+            ...DAILY_CHALLENGE_SETTINGS,
+            dailyChallenge: date,
+            seed: getChallengeSeed(date)
+        });
+        attempt.game = gameId;
+        await attempt.save();
+        logger.info(`User ${req.user.id} started the daily challenge of ${date} as game ${gameId}`);
+        res.status(201).json({ gameId, date, settings: DAILY_CHALLENGE_SETTINGS });
+    } catch (error) {
+        await DailyAttempt.deleteOne({ _id: attempt._id }).catch(() => {}); //the attempt never started so it shouldnt count
+        logger.error(`Error starting the daily challenge for user ${req.user.id}: ${error}`);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * Get the leaderboard of a daily challenge, highest points first, ties go to whoever finished first
+ * @route GET /api/game/daily/leaderboard
+ * @param {string} [date=today] - The day of the challenge (YYYY-MM-DD)
+ * @param {number} [page=1] - Page number for pagination
+ * @param {number} [limit=10] - Results per page (max 50)
+ * @returns {Object} The ranked completed attempts and pagination metadata
+ * @example
+ * // Request
+ * GET /api/game/daily/leaderboard?date=2025-01-31
+ * 
+ * // Response
+ * {
+ *   "date": "2025-01-31",
+ *   "leaderboard": [
+ *     { "rank": 1, "user": { "_id": "60d0fe4f5311236168a109ca", "username": "johndoe" }, "points": 84, "wordCount": 21, "game": "60d0fe4f5311236168a109ff", "finishedAt": "2025-01-31T10:32:45.123Z" }
+ *   ],
+ *   "pagination": { "total": 1, "page": 1, "limit": 10, "pages": 1 }
+ * }
+ */
+router.get('/daily/leaderboard', async (req, res) => {
+    const date = req.query.date || getChallengeDate();
+    if (!isValidChallengeDate(date)) {
+        return res.status(400).json({ error: 'date must be in the format YYYY-MM-DD', date });
+    }
+    try {
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+        const skip = (page - 1) * limit;
+        const filter = { date, completed: true };
+
+        const attempts = await DailyAttempt.find(filter)
+            .populate('user', '_id username')
+            .sort({ points: -1, finishedAt: 1 }) //ties go to whoever finished first
+            .skip(skip)
+            .limit(limit)
+            .lean();
+        const total = await DailyAttempt.countDocuments(filter);
+
+        res.json({
+            date,
+            leaderboard: attempts.map((attempt, index) => ({
+                rank: skip + index + 1,
+                user: attempt.user,
+                points: attempt.points,
+                wordCount: attempt.wordCount,
+                game: attempt.game,
+                finishedAt: attempt.finishedAt
+            })),
+            pagination: {
+                total,
+                page,
+                limit,
+                pages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        logger.error(`Error retrieving the daily leaderboard of ${date}: ${error}`);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * Get the review queue of challenged words, oldest first
+ * @route GET /api/game/challenges
+ * @param {string} [status] - Only the challenges the players upheld or rejected
+ * @param {string} [reviewed=false] - "true" for the challenges moderators already resolved
+ * @returns {Object} The challenges and the pagination
+ */
+router.get('/challenges', apiAuth, moderatorAuth, async (req, res) => {
+    const { status } = req.query;
+    if (status && !Object.values(ChallengeStatus).includes(status)) {
+        return res.status(400).json({ error: `status must be one of: ${Object.values(ChallengeStatus).join(', ')}`, status });
+    }
+    try {
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+        const skip = (page - 1) * limit;
+        const filter = { reviewed: req.query.reviewed === 'true' };
+        if (status) {
+            filter.status = status;
+        }
+
+        const challenges = await WordChallenge.find(filter)
+            .populate('reviewedBy', '_id username')
+            .sort({ createdAt: 1 })
+            .skip(skip)
+            .limit(limit)
+            .lean();
+        const total = await WordChallenge.countDocuments(filter);
+
+        res.json({
+            challenges,
+            pagination: {
+                total,
+                page,
+                limit,
+                pages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        logger.error(`Error retrieving the challenge review queue: ${error}`);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * Resolve a challenged word, upholding it takes the word's points back from the player and corrects the game's results, rejecting it gives them back
+ * @route POST /api/game/challenges/:challengeId/resolve
+ * @param {string} challengeId - The ID of the challenge
+ * @param {boolean} upheld - Body, true if the word shouldnt count
+ * @param {string} [note] - Body, the reason for the decision
+ * @returns {Object} The resolved challenge
+ */
+router.post('/challenges/:challengeId/resolve', apiAuth, moderatorAuth, async (req, res) => {
+    const { challengeId } = req.params;
+    const { upheld, note } = req.body;
+    if (!mongoose.Types.ObjectId.isValid(challengeId)) {
+        return res.status(404).json({ error: 'Challenge not found', challengeId });
+    }
+    if (typeof upheld !== 'boolean') {
+        return res.status(400).json({ error: 'upheld must be true or false', upheld });
+    }
+    if (note !== undefined && (typeof note !== 'string' || note.length > MAX_NOTE_LENGTH)) {
+        return res.status(400).json({ error: `note must be a string of at most ${MAX_NOTE_LENGTH} characters` });
+    }
+    try {
+        const challenge = await resolveChallenge(challengeId, upheld, req.user.id, note);
+        if (!challenge) {
+            return res.status(404).json({ error: 'Challenge not found', challengeId });
+        }
+        res.json(challenge);
+    } catch (error) {
+        logger.error(`Error resolving challenge ${challengeId}: ${error}`);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * Get the replay of a finished game.
+ * Every event has a time `t` in milliseconds relative to the start of the game, so a client can play the events back at real speed
+ * by scheduling each one `t` milliseconds after it starts the playback.
+ * Only the players of the game can get its replay, unless the game is public.
+ * @route GET /api/game/:id/replay
+ * @param {string} id - The ID of the game
+ * @returns {Object} The game settings, the players and the ordered event log
+ * @example
+ * // Request
+ * GET /api/game/60d0fe4f5311236168a109ff/replay
+ * Authorization: Bearer <token>
+ * 
+ * // Response
+ * {
+ *   "gameId": "60d0fe4f5311236168a109ff",
+ *   "gameDuration": 120000,
+ *   "startTime": "2023-07-15T10:30:45.123Z",
+ *   "endTime": "2023-07-15T10:32:45.500Z",
+ *   "players": [{ "playerId": "60d0fe4f5311236168a109ca", "username": "johndoe" }],
+ *   "events": [
+ *     { "t": 0, "type": "letters_distributed", "playerId": "60d0fe4f5311236168a109ca", "data": { "letters": "a" } },
+ *     { "t": 1520, "type": "written", "playerId": "60d0fe4f5311236168a109ca", "data": { "text": "ca" } },
+ *     { "t": 2300, "type": "move", "playerId": "60d0fe4f5311236168a109ca", "data": { "word": "cat", "valid": true, "points": 1, "totalPoints": 1 } },
+ *     ...
+ *     { "t": 120010, "type": "ended", "playerId": null, "data": { "winner": "60d0fe4f5311236168a109ca", "elapsedTime": 120 } }
+ *   ]
+ * }
+ */
+router.get('/:id/replay', apiAuth, async (req, res) => {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(404).json({ error: 'Game not found', id });
+    }
+    try {
+        const game = await Game.findOne(visibleGameFilter(id, req.user.id)).lean();
+        if (!game) {
+            return res.status(404).json({ error: 'Game not found', id });
+        }
+        if (game.state !== GameState.COMPLETED && game.state !== GameState.ABANDONED) {
+            return res.status(409).json({ error: 'The replay is available once the game is over', id, state: game.state });
+        }
+        if (!game.events || game.events.length === 0) {
+            return res.status(404).json({ error: 'No replay was recorded for this game', id });
+        }
+        res.json({
+            gameId: id,
+            gameDuration: game.gameDuration,
+            letterAddFrequency: game.letterAddFrequency,
+            victoryThreshold: game.victoryThreshold,
+            scoringRule: game.scoringRule,
+            startTime: game.startTime,
+            endTime: game.endTime,
+            players: game.players.map(player => ({
+                playerId: player.user ? player.user.toString() : (player.guestId || player.bot),
+                username: player.username
+            })),
+            events: game.events
+        });
+    } catch (error) {
+        logger.error(`Error retrieving replay for game ${id}: ${error}`);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * Get a single game with the full per-player results, only the players of the game can get it unless the game is public
+ * @route GET /api/game/:id
+ * @param {string} id - The ID of the game
+ * @returns {Object} The game document with populated users
+ */
+router.get('/:id', apiAuth, async (req, res) => {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(404).json({ error: 'Game not found', id });
+    }
+    try {
+        const game = await Game.findOne(visibleGameFilter(id, req.user.id))
+            .select('-events')
+            .populate('players.user', '_id username')
+            .populate('winner.user', '_id username')
+            .lean();
+        if (!game) {
+            return res.status(404).json({ error: 'Game not found', id });
+        }
+        res.json(game);
+    } catch (error) {
+        logger.error(`Error retrieving game ${id}: ${error}`);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 module.exports = router;
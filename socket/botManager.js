@@ -0,0 +1,111 @@
+const logger = require('../utils/logger');
+const GameState = require('../types/gameState');
+const { isBotId, getBotDifficulty, chooseBotWord, makeTypo } = require('../utils/bots');
+
+const botTimers = new Map(); //maps gameIds to a map of botIds to the bot's pending timeout
+const PAUSED_RETRY_DELAY = 1000; //how often a bot checks if a paused game was resumed
+
+/**
+ * Starts every bot player of a game. Bots play through the same move and written handlers as human players.
+ *
+ * @param {Object} game - The in memory game object
+ * @param {Object} actions - How the bots interact with the game
+ * @param {function(): Object|undefined} actions.getGame - Returns the current in memory game object (undefined once it was cleaned up)
+ * @param {function(string, string): void} actions.written - Called with (botId, text) while the bot types
+ * @param {function(string, string): Promise<void>} actions.move - Called with (botId, word) when the bot submits a word
+ * @param {Object} actions.lexicon - The lexicon of the game's language the bots pick words from, see utils/lexicon.js
+ */
+function startBots(game, actions) {
+    const bots = game.players.filter(isBotId);
+    if (bots.length === 0) {
+        return;
+    }
+    botTimers.set(game.id, new Map());
+    bots.forEach(botId => {
+        logger.info(`Starting bot ${botId} in game ${game.id}`);
+        scheduleNextWord(game.id, botId, actions);
+    });
+}
+
+/**
+ * Stops every bot player of a game
+ *
+ * @param {string} gameId - The ID of the game
+ */
+function stopBots(gameId) {
+    const timers = botTimers.get(gameId);
+    if (!timers) {
+        return;
+    }
+    timers.forEach(timeoutId => clearTimeout(timeoutId));
+    botTimers.delete(gameId);
+}
+
+function schedule(gameId, botId, callback, delay) {
+    const timers = botTimers.get(gameId);
+    if (!timers) { //the bots of this game were stopped
+        return;
+    }
+    timers.set(botId, setTimeout(callback, delay));
+}
+
+function randomBetween([min, max]) {
+    return min + Math.floor(Math.random() * (max - min));
+}
+
+function scheduleNextWord(gameId, botId, actions) {
+    const difficulty = getBotDifficulty(botId);
+    schedule(gameId, botId, () => playWord(gameId, botId, actions), randomBetween(difficulty.thinkTime));
+}
+
+function playWord(gameId, botId, actions) {
+    const game = actions.getGame();
+    if (!game || game.state === GameState.COMPLETED || game.state === GameState.ABANDONED) {
+        stopBots(gameId);
+        return;
+    }
+    if (game.state !== GameState.IN_PROGRESS) {
+        schedule(gameId, botId, () => playWord(gameId, botId, actions), PAUSED_RETRY_DELAY);
+        return;
+    }
+    const difficulty = getBotDifficulty(botId);
+    const data = game.playerData.get(botId);
+    if (data.eliminated) { //knocked out bots stop playing for good
+        logger.info(`Bot ${botId} was eliminated from game ${gameId}`);
+        botTimers.get(gameId).delete(botId);
+        return;
+    }
+    let word = chooseBotWord(actions.lexicon, data.letters, data.words, difficulty.wordChoice);
+    if (!word) {
+        logger.info(`Bot ${botId} could not find a word for the letters ${data.letters}`);
+        scheduleNextWord(gameId, botId, actions);
+        return;
+    }
+    if (Math.random() < difficulty.errorRate) {
+        word = makeTypo(word, actions.lexicon.alphabet);
+    }
+    typeWord(gameId, botId, word, 1, actions);
+}
+
+function typeWord(gameId, botId, word, typedLength, actions) {
+    const game = actions.getGame();
+    if (!game || game.state !== GameState.IN_PROGRESS || game.playerData.get(botId).eliminated) { //the next playWord call handles pauses, eliminations and the end of the game
+        schedule(gameId, botId, () => playWord(gameId, botId, actions), PAUSED_RETRY_DELAY);
+        return;
+    }
+    const difficulty = getBotDifficulty(botId);
+    if (typedLength <= word.length) {
+        actions.written(botId, word.slice(0, typedLength));
+        schedule(gameId, botId, () => typeWord(gameId, botId, word, typedLength + 1, actions), difficulty.typingDelay);
+        return;
+    }
+    actions.written(botId, '');
+    Promise.resolve(actions.move(botId, word))
+        .catch(err => logger.error(`Error submitting move for bot ${botId}: ${err}`))
+        .finally(() => scheduleNextWord(gameId, botId, actions));
+}
+
+module.exports = {
+    startBots,
+    stopBots
+};
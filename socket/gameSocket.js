@@ -3,21 +3,45 @@ const {Game, Winner} = require('../models/Game');
 
 const GameState = require('../types/gameState');
 const mongoose = require('mongoose');
-const { loadDictionary, loadLetterTreeSync, getNextTierCombos } = require('../utils/wordUtils');
+const { getNextTierCombos } = require('../utils/wordUtils');
 const { getUsernameFromId } = require('../utils/userUtils');
+const { isValidScoringRule } = require('../utils/scoring');
+const { createGameClock } = require('../utils/gameClock');
+const { DEFAULT_GAME_MODE, getGameMode, getModeSettings, validateGameModeSettings } = require('../gameModes');
+const { isBotId, getBotUsername } = require('../utils/bots');
+const { startBots, stopBots } = require('./botManager');
+const { createSeededRandom } = require('../utils/random');
+const { recordDailyChallengeResult } = require('../utils/dailyChallenge');
+const { validatePowerUpSettings, getEarnedCharges, applyPowerUp, isFrozen } = require('../utils/powerUps');
+const { DEFAULT_LANGUAGE, validateLanguage } = require('../languages');
+const { getLexicon, loadInstalledLexicons } = require('../utils/lexicon');
+const { analyzeGame } = require('../utils/gameAnalysis');
+const { getVoteOutcome, recordChallenges } = require('../utils/wordChallenges');
+const { getDifficultyBand, pickComboInRange, pickComboInBand, validateLetterDifficultySettings } = require('../utils/letterDifficulty');
+const ScoringRule = require('../types/scoringRule');
+const ReplayEvent = require('../types/replayEvent');
 
 const games = new Map();
 const gameCodes = new Map(); //maps gameCodes to gameIds
 const connectedPlayers = new Map();
-const gameTimers = new Map();
-const words = loadDictionary();
-const letterTree = loadLetterTreeSync();
+const spectators = new Map(); //maps gameIds to the set of socket ids of the spectators watching that game
+const gameTimers = new Map(); //maps gameIds to their game clock
+const gameEvents = new Map(); //maps gameIds to their replay event log, kept out of the game object so it isnt broadcast with the game state
+const rematchOffers = new Map(); //maps gameIds of finished games to their open rematch offer: {votes: Set<playerId>, timeoutId, expiresAt}
+const pendingChanges = new Map(); //maps gameIds to the player fields changed since the last state_delta: {players: Map<playerId, Set<field>>, timeoutId}
+const gameRandoms = new Map(); //maps gameIds of seeded games (daily challenge) to their random number generator, so every player gets the same letters
+let namespace = null; //the game namespace, set by initializeGameSocket so createGame can abandon games nobody joins
+const wordChallenges = new Map(); //maps gameIds to their challenged words and, once the game is over, the vote on them: {challenges: [{id, word, playerId, challengedBy, points, votes: Map<voterId, uphold>}], timeoutId, expiresAt}
+loadInstalledLexicons();
 
-const POINTS_PER_LETTER = 10;
 const GAME_START_DELAY = 2000;
-const ELAPSED_TIME_INTERVAL = 1000; //1 second
-const GAME_END_TIME = 1 * 60 //1 minutes
-const PLAYER_TIMEOUT = 10 * 1000; //10 seconds
+const ELAPSED_TIME_INTERVAL = 1000; //1 second, also the rate of the time_remaining broadcasts
+const PLAYER_TIMEOUT = 10 * 1000; //10 seconds, the default reconnect grace period
+const JOIN_TIMEOUT = 60 * 1000; //60 seconds for the first player to connect to a new game before it is abandoned
+const REMATCH_TIMEOUT = 30 * 1000; //30 seconds until a rematch offer expires
+const CHALLENGE_VOTE_TIMEOUT = 30 * 1000; //30 seconds to vote on the challenged words once the game is over
+const MAX_CHALLENGES_PER_PLAYER = 3;
+const STATE_SYNC_INTERVAL = 100; //typing is sent out at most 10 times per second
 
 /**
  * Initializes game-related socket events
@@ -31,6 +55,7 @@ const PLAYER_TIMEOUT = 10 * 1000; //10 seconds
 function initializeGameSocket(gameNamespace, authMiddleware) {
     logger.info(`Game Namespace initialized`);
 
+    namespace = gameNamespace;
     gameNamespace.use(authMiddleware);
     //expects: auth: token: string | query: gameId: string
     gameNamespace.on("connection", (socket) => {
@@ -45,166 +70,1037 @@ function initializeGameSocket(gameNamespace, authMiddleware) {
         if(!gameId){
             gameId = gameCodes.get(gameCode);
         }
-        if(!connectedPlayers.has(gameId)){
-            connectedPlayers.set(gameId, new Set());
-        }
-        connectedPlayers.get(gameId).add(userId); //add player to the map at this game
         const game = games.get(gameId);
         if(!game){
             logger.warn(`Game ${gameId} not found`);
             return socket.disconnect('Game not found');
         }
+        if(isBotId(userId)){
+            logger.warn(`Socket connection rejected - user tried to connect as bot ${userId}`);
+            return socket.disconnect('Bot IDs are reserved for server side bots');
+        }
+        if(!game.players.includes(userId)){
+            //anyone who is not a player in this game can only watch it, and only if they know the game code
+            if(!gameCode || gameCodes.get(gameCode) !== gameId){
+                logger.warn(`User ${userId} tried to spectate game ${gameId} without its game code`);
+                return socket.disconnect('Spectators must join with a gameCode');
+            }
+            return initializeSpectator(socket, game, gameNamespace);
+        }
+        if(!connectedPlayers.has(gameId)){
+            connectedPlayers.set(gameId, new Set());
+        }
+        connectedPlayers.get(gameId).add(userId); //add player to the map at this game
+        if(game.abandonTimeoutId){ //the first player joined, or someone came back to a game that was about to be abandoned before it started
+            clearTimeout(game.abandonTimeoutId);
+            game.abandonTimeoutId = null;
+        }
+        socket.join(gameId);
         if(game.pendingPlayers && game.pendingPlayers.has(userId)){
             const pendingPlayer = game.pendingPlayers.get(userId);
             if(pendingPlayer.timeoutId){
                 clearTimeout(pendingPlayer.timeoutId);
-                game.pendingPlayers.delete(userId);
                 logger.info(`Cleared timeout for player ${userId} in game ${gameId}`);
             }
+            game.pendingPlayers.delete(userId);
             //because this player was added to the connected players set in the lines above we need to make sure the game doesnt restart and emit the resume event
             logger.info(`Player ${userId} reconnected to game ${gameId}`);
-            gameNamespace.to(gameId).emit("game_resumed", {reason: "player_reconnected", playerId: userId, username: game.playerData.get(userId).username});
-            game.state = GameState.IN_PROGRESS;
-        } else if(game && connectedPlayers.get(gameId).size === game.players.length){
+            if(game.pendingPlayers.size === 0){ //only resume once nobody else is still expected back
+                gameNamespace.to(gameId).emit("game_resumed", {reason: "player_reconnected", playerId: userId, username: game.playerData.get(userId).username});
+                resumeGame(game, gameNamespace, {reason: "player_reconnected", playerId: userId});
+            }
+            sendPlayerSnapshot(socket, game, userId);
+            sendGameState(socket, game); //the new socket needs a base version for the deltas
+        } else if(game.state === GameState.IN_PROGRESS || game.state === GameState.PAUSED){
+            //the player came back after their grace period ran out, let them continue where they left off
+            logger.info(`Player ${userId} rejoined game ${gameId} after their reconnect grace period ended`);
+            game.playerData.get(userId).isPlaying = !game.playerData.get(userId).eliminated;
+            sendPlayerSnapshot(socket, game, userId);
+            broadcastGameState(game, gameNamespace);
+        } else if(game.state === GameState.NOT_STARTED && connectedPlayers.get(gameId).size === getHumanPlayers(game).length){ //bots are always connected
             logger.info(`All players connected to game ${gameId}. Starting game...`);
             game.state = GameState.IN_PROGRESS;
 
-            game.startTime = Date.now();
             game.elapsedTime = 0;
-            if(gameTimers.has(gameId)){
-                clearInterval(gameTimers.get(gameId));
-                logger.info(`Cleared elapsed time tracking for game ${gameId}`);
-                gameTimers.delete(gameId);
-            }
-            gameTimers.set(gameId, setInterval(async () => {
-                const currentGame = games.get(gameId);
-                if (currentGame) {
-                    if(currentGame.state !== GameState.IN_PROGRESS){
-                        if(currentGame.elapsedTime >= currentGame.gameDuration / 1000){
-                            logger.info(`Game ${gameId} ended after ${currentGame.elapsedTime} seconds, but the game was not in progress`);
-                        }
-                        return;
-                    }
-                    currentGame.elapsedTime = Math.floor((Date.now() - currentGame.startTime) / 1000);
-                    if(currentGame.elapsedTime >= currentGame.gameDuration / 1000){
-                        logger.info(`Game ${gameId} ended after ${currentGame.elapsedTime} seconds`);
-                        await endGame(gameId, gameNamespace);
-                        clearInterval(gameTimers.get(gameId));
-                        gameTimers.delete(gameId);
-                    }
-                }
-            }, ELAPSED_TIME_INTERVAL));
+            stopGameClock(gameId);
             game.playerData.forEach((data, playerId) => {
                 data.isPlaying = true;
             });
             Game.findByIdAndUpdate(gameId, { state: GameState.IN_PROGRESS })
             .then(() => {
                 setTimeout(() => {  //add delay to allow for all players to register for events before emitting them
-                    distributeLetters(game);
+                    game.startTime = Date.now();
+                    gameEvents.set(gameId, []);
+                    getGameMode(game.mode).setup(game, getModeContext(game, gameNamespace));
+                    startGameClock(game, gameNamespace);
                     gameNamespace.to(gameId).emit('game_started', { gameId });
                     logger.info(`Game ${gameId} started after delay`);
-                    const serializableGame = {
-                        ...game,
-                        playerData: Object.fromEntries(game.playerData)
-                    };
-                    gameNamespace.to(gameId).emit("game_state", serializableGame);
+                    broadcastGameState(game, gameNamespace);
+                    startBots(game, {
+                        lexicon: getLexicon(game.language),
+                        getGame: () => games.get(gameId),
+                        written: (botId, text) => handleWritten(gameId, botId, text, gameNamespace),
+                        move: (botId, word) => handleMove(gameId, botId, word, gameNamespace)
+                    });
                 }, GAME_START_DELAY);
             })
             .catch(err => {
                 logger.error(`Error updating game state: ${err}`);
             });
         }
-        socket.join(gameId);
+        socket.emit("spectator_count", {count: getSpectatorCount(gameId)});
 
-        socket.on("move", async (data) =>{
-            logger.info(`User ${userId} submitted move: ${data}`);
-            const {valid, reason} = isValidWord( data,games.get(gameId).playerData.get(userId).letters, games.get(gameId).playerData.get(userId).words);
-            if(!valid){
-                gameNamespace.to(gameId).emit("invalid", {by: userId, reason: reason});
-                logger.info(`Move from user ${userId} is invalid because: ${reason}`);
-            }else{
-                const currentGame = games.get(gameId);
-                const currentPoints = ++currentGame.playerData.get(userId).points;
-                const currentIncreases = currentGame.playerData.get(userId).letterIncreases;
-                if(currentGame.victoryThreshold && currentPoints >= currentGame.victoryThreshold && currentGame.victoryThreshold > 0){
-                    //if the game has a victory threshold and the player has reached it, end the game
-                    await endGame(gameId, gameNamespace);
-                    logger.info(`Game ${gameId} ended because player ${userId} reached the victory threshold of ${currentGame.victoryThreshold}`);
-                    return;
-                }
-                if( currentPoints > currentGame.letterAddFrequency * (currentIncreases+1) && currentGame.letterAddFrequency > 0){
-                    currentGame.playerData.get(userId).letterIncreases = currentIncreases + 1;
-                    //increase the letters for all opponents
-                    currentGame.playerData.forEach((data, playerId) => {
-                        if (playerId !== userId) {
-                            data.letters = incrementLetters(data.letters);
-                        }
-                    });
-                }
-                currentGame.playerData.get(userId).words.push(data);
-                gameNamespace.to(gameId).emit("valid", {by: userId, GameState: currentGame});
-                logger.info(`Move from user ${userId} is valid`);
+        //the result of the move is only sent back to the player through the acknowledgement: socket.emit("move", word, (result) => {...})
+        socket.on("move", async (data, ack) =>{
+            const respond = typeof ack === "function" ? ack : () => {};
+            if(isEliminated(gameId, userId)){
+                socket.emit("error", {message: "Eliminated players can only watch the rest of the game"});
+                respond({valid: false, word: data, reason: "Eliminated players can only watch the rest of the game"});
+                return;
+            }
+            respond(await handleMove(gameId, userId, data, gameNamespace));
+        });
+
+        socket.on("use_powerup", (data, ack) => {
+            const respond = typeof ack === "function" ? ack : () => {};
+            const game = games.get(gameId);
+            if(!game || game.state !== GameState.IN_PROGRESS){
+                respond({success: false, reason: "The game is not in progress"});
+                return;
+            }
+            if(isEliminated(gameId, userId)){
+                respond({success: false, reason: "Eliminated players can only watch the rest of the game"});
+                return;
+            }
+            respond(handlePowerUp(game, userId, data || {}, gameNamespace));
+        });
+
+        socket.on("request_hint", (ack) => {
+            const respond = typeof ack === "function" ? ack : () => {};
+            const game = games.get(gameId);
+            if(!game || game.state !== GameState.IN_PROGRESS){
+                respond({success: false, reason: "The game is not in progress"});
+                return;
+            }
+            if(isEliminated(gameId, userId)){
+                respond({success: false, reason: "Eliminated players can only watch the rest of the game"});
+                return;
+            }
+            respond(handleHint(game, userId, gameNamespace));
+        });
+
+        //flags an accepted word of an opponent, the other players vote on it once the game is over: socket.emit("challenge_word", {playerId, word}, (result) => {...})
+        socket.on("challenge_word", (data, ack) => {
+            const respond = typeof ack === "function" ? ack : () => {};
+            const game = games.get(gameId);
+            if(!game || game.state !== GameState.IN_PROGRESS){
+                respond({success: false, reason: "Words can only be challenged while the game is in progress"});
+                return;
+            }
+            respond(handleChallenge(game, userId, data || {}, gameNamespace));
+        });
+
+        socket.on("challenge_vote", (data, ack) => {
+            const respond = typeof ack === "function" ? ack : () => {};
+            const game = games.get(gameId);
+            if(!game || !wordChallenges.has(gameId) || !wordChallenges.get(gameId).timeoutId){
+                respond({success: false, reason: "There is no challenge vote to take part in"});
+                return;
+            }
+            respond(voteOnChallenge(game, userId, data || {}, gameNamespace));
+        });
+
+        socket.on("request_full_state", () => {
+            const game = games.get(gameId);
+            if(game){
+                sendGameState(socket, game);
             }
         });
 
         socket.on("written", (data) => {
-            logger.info(`User ${userId} wrote: ${data}`);
-            games.get(gameId).playerData.get(userId).written = data;
+            if(isEliminated(gameId, userId)){
+                socket.emit("error", {message: "Eliminated players can only watch the rest of the game"});
+                return;
+            }
+            handleWritten(gameId, userId, data, gameNamespace);
+        });
+
+        socket.on("rematch_request", () => {
             const game = games.get(gameId);
-            const serializableGame = {
-            ...game,
-            playerData: Object.fromEntries(game.playerData)
-            };
-            gameNamespace.to(gameId).emit("game_state", serializableGame);
+            if(!game || game.state !== GameState.COMPLETED){
+                socket.emit("error", {message: "A rematch can only be requested once the game is over"});
+                return;
+            }
+            if(game.dailyChallenge){
+                socket.emit("error", {message: "The daily challenge can only be played once a day"});
+                return;
+            }
+            if(game.rematchGameId){ //the rematch already started, let the late player join it
+                socket.emit("rematch_started", {gameId: game.rematchGameId, previousGameId: gameId});
+                return;
+            }
+            if(!rematchOffers.has(gameId)){
+                const timeoutId = setTimeout(() => {
+                    rematchOffers.delete(gameId);
+                    gameNamespace.to(gameId).emit("rematch_expired", {gameId});
+                    logger.info(`Rematch offer for game ${gameId} expired`);
+                }, REMATCH_TIMEOUT);
+                rematchOffers.set(gameId, {votes: new Set(), timeoutId, expiresAt: Date.now() + REMATCH_TIMEOUT});
+                gameNamespace.to(gameId).emit("rematch_requested", {by: userId, username: game.playerData.get(userId).username, expiresAt: Date.now() + REMATCH_TIMEOUT});
+                logger.info(`User ${userId} requested a rematch of game ${gameId}`);
+            }
+            voteForRematch(game, userId, gameNamespace); //requesting a rematch counts as agreeing to it
+        });
+
+        socket.on("rematch_accept", () => {
+            const game = games.get(gameId);
+            if(!game || !rematchOffers.has(gameId)){
+                socket.emit("error", {message: "There is no rematch offer to accept"});
+                return;
+            }
+            voteForRematch(game, userId, gameNamespace);
         });
 
         socket.on('disconnect', () => {
             logger.info(`Game socket disconnected for user: ${socket.userId}`);
-            if(connectedPlayers.has(gameId)){
-                connectedPlayers.get(gameId).delete(userId); //delete player from the set of players in this game in the connectedPlayers map
-                const game = games.get(gameId);
-                if(game && game.state === GameState.IN_PROGRESS){
-                    //TODO: handle mid game disconnection
-                    //if there are still players in the game pause the game and emit a pause event
-                    if(connectedPlayers.get(gameId).size > 0){
-                        game.state = GameState.PAUSED;
-                        gameNamespace.to(gameId).emit("game_paused", {reason: "player_disconnected", playerId: userId, username: games.get(gameId).playerData.get(userId).username});
-                        //add the player to the pending players list
-                        game.pendingPlayers = game.pendingPlayers || new Map();
-                        const timeoutId = setTimeout(() => {
-                            game.state = GameState.IN_PROGRESS;
-                            //print serializable game data to the console
-                            const serializableGame = {
-                                ...game,
-                                playerData: Object.fromEntries(game.playerData)
-                            };
-                            game.playerData.get(userId).isPlaying = false;
-                            gameNamespace.to(gameId).emit("game_state", serializableGame);
-                            logger.info(`Emitted game state after timeout for game ${gameId}: ${JSON.stringify(serializableGame)}`);
-                            gameNamespace.to(gameId).emit("game_resumed", {reason: "player_left", playerId: userId, username: games.get(gameId).playerData.get(userId).username});
-                            game.pendingPlayers.delete(userId);
-                            logger.info(`Game ${gameId} unpaused due to player failing to reconnect in time`);
-                        }, PLAYER_TIMEOUT);
-                        game.pendingPlayers.set(userId, {timeoutId});
-                        logger.info(`Game ${gameId} paused due to player disconnection`);
-                    }
+            if(!connectedPlayers.has(gameId)){
+                return;
+            }
+            connectedPlayers.get(gameId).delete(userId); //delete player from the set of players in this game in the connectedPlayers map
+            const game = games.get(gameId);
+            if(!game){
+                return;
+            }
+            if(game.state === GameState.COMPLETED){
+                closeChallengeVoteIfDone(game, gameNamespace); //the player who left no longer has to vote
+            }
+            if((game.state === GameState.IN_PROGRESS || game.state === GameState.PAUSED) && game.playerData.get(userId).eliminated){
+                //eliminated players are only watching, the game goes on without them
+                logger.info(`Eliminated player ${userId} left game ${gameId}`);
+            } else if(game.state === GameState.IN_PROGRESS || game.state === GameState.PAUSED){
+                //pause the game (even if nobody is left, so the clock doesnt run out while everyone is away) and give the player time to come back
+                if(game.state === GameState.IN_PROGRESS){
+                    pauseGame(game, gameNamespace, {reason: "player_disconnected", playerId: userId});
+                    gameNamespace.to(gameId).emit("game_paused", {reason: "player_disconnected", playerId: userId, username: game.playerData.get(userId).username});
+                    logger.info(`Game ${gameId} paused due to player disconnection`);
                 }
-                if(connectedPlayers.get(gameId).size === 0 && (!game.pendingPlayers || game.pendingPlayers.size === 0)){ //if there are no connected players AND (EITHER there is no pending players map OR the pending players map is empty) then end the game
-                    if (gameTimers.has(gameId)) {
-                        clearInterval(gameTimers.get(gameId));
-                        gameTimers.delete(gameId);
-                        logger.info(`Cleared elapsed time tracking for game ${gameId} after all players disconnected`);
-                    }
-                    if(game && game.gameCode && gameCodes.has(game.gameCode)){
-                        gameCodes.delete(game.gameCode);
-                        logger.info(`Cleared game code for game ${gameId} after all players disconnected`);
-                    }
+                addPendingPlayer(game, userId, gameNamespace);
+            } else if(game.state === GameState.COMPLETED && connectedPlayers.get(gameId).size > 0 && rematchOffers.has(gameId)){
+                //the player who left no longer has to agree to the rematch
+                startRematchIfAgreed(game, gameNamespace);
+            } else if(connectedPlayers.get(gameId).size === 0){
+                if(game.state === GameState.NOT_STARTED){
+                    //the game never started, if nobody shows up again it is abandoned
+                    game.abandonTimeoutId = setTimeout(() => abandonGame(gameId, gameNamespace), game.reconnectGracePeriod);
+                } else {
+                    //everyone left a game that is already over
+                    cleanupGame(gameId);
+                    logger.info(`Cleared game ${gameId} from memory after all players disconnected`);
                 }
             }
         });
     })
 }
 
+/**
+ * Validates and scores a word submitted by a player (human or bot) and applies its effects on the game,
+ * what makes a word valid, how it scores and what it does are up to the game's mode.
+ * Only valid words are announced to the room (word_scored), the full result goes back to the player that submitted the word.
+ *
+ * @async
+ * @param {string} gameId - The ID of the game
+ * @param {string} userId - The ID of the player that submitted the word
+ * @param {string} data - The submitted word
+ * @param {Object} gameNamespace - The game namespace
+ * @returns {Promise<{valid: boolean, word: string, reason?: string, score?: Object, points?: number, letters?: string, gameOver?: boolean}>} The result of the move
+ */
+async function handleMove(gameId, userId, data, gameNamespace) {
+    logger.info(`User ${userId} submitted move: ${data}`);
+    const currentGame = games.get(gameId);
+    if(!currentGame || currentGame.state !== GameState.IN_PROGRESS){
+        return {valid: false, word: data, reason: 'The game is not in progress'};
+    }
+    const mode = getGameMode(currentGame.mode);
+    const context = getModeContext(currentGame, gameNamespace);
+    const playerData = currentGame.playerData.get(userId);
+    if(isFrozen(playerData)){
+        return {valid: false, word: data, reason: 'You are frozen'};
+    }
+    const {valid, reason} = mode.validateMove(currentGame, userId, data, context);
+    if(!valid){
+        playerData.streak = 0;
+        markChanged(currentGame, userId, ['streak'], gameNamespace);
+        recordEvent(currentGame, ReplayEvent.MOVE, userId, {word: data, valid: false, reason});
+        logger.info(`Move from user ${userId} is invalid because: ${reason}`);
+        return {valid: false, word: data, reason: reason};
+    }
+    const score = mode.scoreMove(currentGame, userId, data, ++playerData.streak);
+    playerData.points += score.points;
+    playerData.words.push(data);
+    recordEvent(currentGame, ReplayEvent.MOVE, userId, {word: data, valid: true, points: score.points, totalPoints: playerData.points});
+    if(currentGame.powerUps.length > 0){ //a charge for every powerUpChargePoints points, points spent on hints dont earn the same charge twice
+        const earnedCharges = getEarnedCharges(playerData.points, currentGame.powerUpChargePoints);
+        if(earnedCharges > playerData.chargesEarned){
+            playerData.charges += earnedCharges - playerData.chargesEarned;
+            playerData.chargesEarned = earnedCharges;
+            markChanged(currentGame, userId, ['charges'], gameNamespace);
+        }
+    }
+    gameNamespace.to(gameId).emit("word_scored", {
+        by: userId,
+        points: score.points,
+        totalPoints: playerData.points,
+        wordCount: playerData.words.length,
+        streak: score.streak
+    });
+    logger.info(`Move from user ${userId} is valid and scored ${score.points} points`);
+    if(mode.isOver(currentGame, userId)){
+        await endGame(gameId, gameNamespace);
+        logger.info(`Game ${gameId} (${currentGame.mode}) ended by the move of player ${userId}`);
+        return {valid: true, word: data, score: score, points: playerData.points, letters: playerData.letters, gameOver: true};
+    }
+    const lettersBefore = new Map(Array.from(currentGame.playerData.entries()).map(([playerId, player]) => [playerId, player.letters]));
+    mode.afterMove(currentGame, userId, score, context);
+    markChanged(currentGame, userId, ['points', 'words', 'streak', 'letterIncreases'], gameNamespace); //charges and shields were marked when they changed
+    currentGame.playerData.forEach((player, playerId) => {
+        if(player.letters !== lettersBefore.get(playerId)){
+            markChanged(currentGame, playerId, ['letters'], gameNamespace);
+        }
+    });
+    flushChanges(currentGame, gameNamespace); //unlike typing, scoring is sent right away
+    return {valid: true, word: data, score: score, points: playerData.points, letters: playerData.letters};
+}
+
+/**
+ * Updates the text a player (human or bot) is currently typing and broadcasts it.
+ * Only strings up to the length of the longest word of the game's language are taken, and unchanged text is not broadcast or recorded again.
+ *
+ * @param {string} gameId - The ID of the game
+ * @param {string} userId - The ID of the player
+ * @param {string} data - The current text
+ * @param {Object} gameNamespace - The game namespace
+ */
+function handleWritten(gameId, userId, data, gameNamespace) {
+    const game = games.get(gameId);
+    if(!game || game.state !== GameState.IN_PROGRESS){
+        return;
+    }
+    const playerData = game.playerData.get(userId);
+    if(!playerData || playerData.eliminated || isFrozen(playerData)){
+        return;
+    }
+    if(typeof data !== 'string' || data.length > getLexicon(game.language).longestWordLength){
+        logger.warn(`User ${userId} sent invalid written text in game ${gameId}`);
+        return;
+    }
+    if(data === playerData.written){
+        return;
+    }
+    logger.info(`User ${userId} wrote: ${data}`);
+    playerData.written = data;
+    recordEvent(game, ReplayEvent.WRITTEN, userId, {text: data});
+    markChanged(game, userId, ['written'], gameNamespace);
+}
+
+/**
+ * Returns what the hooks of a game mode need from the socket layer to run the game
+ *
+ * @param {Object} game - The in memory game object
+ * @param {Object} gameNamespace - The game namespace
+ * @returns {{isValidWord: function, getStartingLetters: function, giveLetter: function, recordEvent: function, emit: function, broadcastState: function, endGame: function}} The mode context
+ */
+function getModeContext(game, gameNamespace) {
+    const random = getRandom(game.id);
+    const { letterTree, comboScores } = getLexicon(game.language);
+    let startBand = null; //fair start: the difficulty band of the first player's combo, every other player gets a combo from the same band
+    return {
+        isValidWord: (word, letters, usedWords) => isValidWord(game.language, word, letters, usedWords),
+        getStartingLetters: () => {
+            const possibleCombos = getNextTierCombos(letterTree, "root");
+            if(!game.fairStart){
+                return possibleCombos[Math.floor(random() * possibleCombos.length)];
+            }
+            if(startBand === null){
+                const firstCombo = possibleCombos[Math.floor(random() * possibleCombos.length)];
+                startBand = getDifficultyBand(comboScores.get(firstCombo).difficulty);
+            }
+            return pickComboInBand(possibleCombos, comboScores, startBand, random);
+        },
+        giveLetter: (playerId, by) => giveLetter(game, playerId, by, gameNamespace),
+        recordEvent: (type, playerId, data) => recordEvent(game, type, playerId, data),
+        emit: (event, data) => gameNamespace.to(game.id).emit(event, data),
+        broadcastState: () => broadcastGameState(game, gameNamespace),
+        endGame: () => endGame(game.id, gameNamespace).catch(err => logger.error(`Error ending game ${game.id}: ${err}`))
+    };
+}
+
+function isEliminated(gameId, playerId) {
+    const game = games.get(gameId);
+    return !!game && !!game.playerData.get(playerId).eliminated;
+}
+
+/**
+ * Spends a charge of a player on a power up and lets the room know it was used
+ *
+ * @param {Object} game - The in memory game object
+ * @param {string} userId - The ID of the player using the power up
+ * @param {{type: string, targetId?: string}} data - The power up and its target (freeze only)
+ * @param {Object} gameNamespace - The game namespace
+ * @returns {{success: boolean, reason?: string, type?: string, charges?: number, letters?: string}} The result, sent back to the player
+ */
+function handlePowerUp(game, userId, data, gameNamespace) {
+    const {type, targetId} = data;
+    if(!game.powerUps.includes(type)){
+        return {success: false, reason: `${type} is not enabled in this game`};
+    }
+    if(isFrozen(game.playerData.get(userId))){
+        return {success: false, reason: 'You are frozen'};
+    }
+    const random = getRandom(game.id);
+    const { letterTree } = getLexicon(game.language);
+    const getSameTierCombos = (letters) => getNextTierCombos(letterTree, letters.length > 1 ? letters.slice(0, -1).toLowerCase() : "root") || [];
+    const result = applyPowerUp(game, userId, type, targetId, getSameTierCombos, random);
+    if(!result.success){
+        logger.info(`User ${userId} could not use ${type} in game ${game.id}: ${result.reason}`);
+        return {success: false, reason: result.reason};
+    }
+    recordEvent(game, ReplayEvent.POWERUP_USED, userId, {type, targetId: result.targetId, ...result.details});
+    gameNamespace.to(game.id).emit("powerup_used", {by: userId, type, targetId: result.targetId});
+    result.changes.forEach(([playerId, fields]) => markChanged(game, playerId, fields, gameNamespace));
+    flushChanges(game, gameNamespace);
+    logger.info(`User ${userId} used ${type} in game ${game.id}`);
+    const playerData = game.playerData.get(userId);
+    return {success: true, type, charges: playerData.charges, letters: playerData.letters};
+}
+
+/**
+ * Reveals the first letter and the length of a valid word the player hasnt used yet, in exchange for hintCost points.
+ * Every hint is a different word, and the hinted word itself is never sent to the player.
+ *
+ * @param {Object} game - The in memory game object
+ * @param {string} userId - The ID of the player asking for the hint
+ * @param {Object} gameNamespace - The game namespace
+ * @returns {{success: boolean, reason?: string, hint?: {firstLetter: string, length: number}, hintsLeft?: number, points?: number}} The result, sent back to the player
+ */
+function handleHint(game, userId, gameNamespace) {
+    const playerData = game.playerData.get(userId);
+    if(game.hintLimit === 0){
+        return {success: false, reason: 'Hints are disabled in this game'};
+    }
+    if(playerData.hintsUsed >= game.hintLimit){
+        return {success: false, reason: `You already used all ${game.hintLimit} of your hints`};
+    }
+    if(playerData.points < game.hintCost){
+        return {success: false, reason: `A hint costs ${game.hintCost} points`};
+    }
+    const candidates = getLexicon(game.language).findWords(playerData.letters, playerData.words.concat(playerData.hintedWords));
+    if(candidates.length === 0){
+        return {success: false, reason: 'There are no words left for your letters'};
+    }
+    const word = candidates[Math.floor(Math.random() * candidates.length)];
+    playerData.points -= game.hintCost;
+    playerData.hintsUsed++;
+    playerData.hintedWords.push(word);
+    recordEvent(game, ReplayEvent.HINT, userId, {word, cost: game.hintCost});
+    markChanged(game, userId, ['points', 'hintsUsed'], gameNamespace);
+    flushChanges(game, gameNamespace);
+    logger.info(`User ${userId} got a hint in game ${game.id}`);
+    return {
+        success: true,
+        hint: {firstLetter: word[0], length: word.length},
+        hintsLeft: game.hintLimit - playerData.hintsUsed,
+        points: playerData.points
+    };
+}
+
+/**
+ * Flags an accepted word of an opponent, the other players vote on it once the game is over (see startChallengeVote).
+ *
+ * @param {Object} game - The in memory game object
+ * @param {string} userId - The ID of the player challenging the word
+ * @param {{playerId: string, word: string}} data - The player who played the word and the word
+ * @param {Object} gameNamespace - The game namespace
+ * @returns {{success: boolean, reason?: string, challengeId?: string}} The result, sent back to the player
+ */
+function handleChallenge(game, userId, data, gameNamespace) {
+    const {playerId, word} = data;
+    if(playerId === userId){
+        return {success: false, reason: 'You cant challenge your own words'};
+    }
+    if(!game.playerData.has(playerId)){
+        return {success: false, reason: `${playerId} is not a player in this game`};
+    }
+    if(game.teamMode && game.playerData.get(playerId).team === game.playerData.get(userId).team){
+        return {success: false, reason: 'You cant challenge the words of a teammate'};
+    }
+    if(typeof word !== 'string' || !word){
+        return {success: false, reason: 'The word to challenge is required'};
+    }
+    const lowerWord = word.toLowerCase().normalize('NFC');
+    const playedWord = game.playerData.get(playerId).words.find(playerWord => playerWord.toLowerCase().normalize('NFC') === lowerWord);
+    if(!playedWord){
+        return {success: false, reason: `${word} is not one of the accepted words of ${game.playerData.get(playerId).username}`};
+    }
+    if(!wordChallenges.has(game.id)){
+        wordChallenges.set(game.id, {challenges: [], timeoutId: null, expiresAt: null});
+    }
+    const challenges = wordChallenges.get(game.id).challenges;
+    if(challenges.some(challenge => challenge.playerId === playerId && challenge.word === playedWord)){
+        return {success: false, reason: `${playedWord} was already challenged`};
+    }
+    if(challenges.filter(challenge => challenge.challengedBy === userId).length >= MAX_CHALLENGES_PER_PLAYER){
+        return {success: false, reason: `You can only challenge ${MAX_CHALLENGES_PER_PLAYER} words per game`};
+    }
+    const move = (gameEvents.get(game.id) || []).find(event => event.type === ReplayEvent.MOVE && event.playerId === playerId && event.data.valid && event.data.word === playedWord);
+    const challenge = {
+        id: new mongoose.Types.ObjectId().toString(), //also the ID of the WordChallenge document the moderators review
+        word: playedWord,
+        playerId,
+        challengedBy: userId,
+        points: move ? move.data.points : 0,
+        votes: new Map()
+    };
+    challenges.push(challenge);
+    recordEvent(game, ReplayEvent.WORD_CHALLENGED, userId, {challengeId: challenge.id, word: playedWord, playerId});
+    gameNamespace.to(game.id).emit("word_challenged", {
+        challengeId: challenge.id,
+        by: userId,
+        username: game.playerData.get(userId).username,
+        playerId,
+        word: playedWord
+    });
+    logger.info(`User ${userId} challenged the word ${playedWord} of player ${playerId} in game ${game.id}`);
+    return {success: true, challengeId: challenge.id};
+}
+
+/**
+ * Gives a player their next letter, unless their shield is up, which blocks the letter and goes down
+ *
+ * @param {Object} game - The in memory game object
+ * @param {string} playerId - The ID of the player getting the letter
+ * @param {string|null} by - The ID of the player that caused it, null if the game did (e.g. an elimination)
+ * @param {Object} gameNamespace - The game namespace
+ * @returns {boolean} True if the player got the letter
+ */
+function giveLetter(game, playerId, by, gameNamespace) {
+    const data = game.playerData.get(playerId);
+    if(data.shielded){
+        data.shielded = false;
+        recordEvent(game, ReplayEvent.SHIELD_BLOCKED, playerId, {by});
+        gameNamespace.to(game.id).emit("shield_blocked", {playerId, by});
+        markChanged(game, playerId, ['shielded'], gameNamespace);
+        return false;
+    }
+    const previousLetters = data.letters;
+    data.letters = incrementLetters(game, data.letters);
+    recordEvent(game, ReplayEvent.LETTERS_INCREMENTED, playerId, {from: previousLetters, to: data.letters, by});
+    return true;
+}
+
+function getHumanPlayers(game) {
+    return game.players.filter(playerId => !isBotId(playerId));
+}
+
+/**
+ * Returns the reference to a player as it is stored in the Game document (players array and winner)
+ *
+ * @param {string} playerId - A user ID, guest ID or bot ID
+ * @returns {{user: string}|{guestId: string}|{bot: string}} The player reference
+ */
+function toPlayerRef(playerId) {
+    if(isBotId(playerId)){
+        return { bot: playerId };
+    }
+    const isInvalidObjectId = !mongoose.Types.ObjectId.isValid(playerId) && playerId.startsWith('guest');
+    // what the fuck is this shit (i assume to prevent random ids from being used as guest ids)
+    // if (!isInvalidObjectId && !id.startsWith('guest')) { 
+    //     throw new Error('Invalid player ID');
+    // }
+    return isInvalidObjectId ? { guestId: playerId } : { user: playerId };
+}
+
+/**
+ * Gives a disconnected player the game's reconnect grace period to come back.
+ * If they dont, they are marked as no longer playing and the game is resumed for the remaining players,
+ * or abandoned if nobody is left.
+ *
+ * @param {Object} game - The in memory game object
+ * @param {string} userId - The ID of the player that disconnected
+ * @param {Object} gameNamespace - The game namespace
+ */
+function addPendingPlayer(game, userId, gameNamespace) {
+    const gameId = game.id;
+    game.pendingPlayers = game.pendingPlayers || new Map();
+    if(game.pendingPlayers.has(userId)){
+        clearTimeout(game.pendingPlayers.get(userId).timeoutId);
+    }
+    const timeoutId = setTimeout(() => {
+        game.pendingPlayers.delete(userId);
+        game.playerData.get(userId).isPlaying = false;
+        logger.info(`Player ${userId} failed to reconnect to game ${gameId} in time`);
+        const connectedCount = connectedPlayers.has(gameId) ? connectedPlayers.get(gameId).size : 0;
+        if(connectedCount === 0 && game.pendingPlayers.size === 0){
+            abandonGame(gameId, gameNamespace);
+            return;
+        }
+        broadcastGameState(game, gameNamespace);
+        logger.info(`Emitted game state after timeout for game ${gameId}`);
+        if(connectedCount > 0 && game.pendingPlayers.size === 0){
+            resumeGame(game, gameNamespace, {reason: "player_left", playerId: userId});
+            gameNamespace.to(gameId).emit("game_resumed", {reason: "player_left", playerId: userId, username: game.playerData.get(userId).username});
+            logger.info(`Game ${gameId} unpaused due to player failing to reconnect in time`);
+        }
+    }, game.reconnectGracePeriod);
+    game.pendingPlayers.set(userId, {timeoutId});
+}
+
+/**
+ * Sends a returning player a private snapshot of their own state and the game clock,
+ * so they can continue without waiting for the next broadcast.
+ *
+ * @param {Object} socket - The player's socket
+ * @param {Object} game - The in memory game object
+ * @param {string} userId - The ID of the returning player
+ */
+function sendPlayerSnapshot(socket, game, userId) {
+    const data = game.playerData.get(userId);
+    const clock = gameTimers.get(game.id);
+    socket.emit("game_snapshot", {
+        gameId: game.id,
+        state: game.state,
+        letters: data.letters,
+        words: data.words,
+        points: data.points,
+        written: data.written,
+        letterIncreases: data.letterIncreases,
+        time: clock ? clock.getStatus() : {elapsed: 0, remaining: game.gameDuration, duration: game.gameDuration, running: false}
+    });
+}
+
+/**
+ * Adds a player's vote to the open rematch offer of a finished game and starts the rematch if everyone agreed
+ *
+ * @param {Object} game - The in memory game object
+ * @param {string} userId - The ID of the player agreeing to the rematch
+ * @param {Object} gameNamespace - The game namespace
+ */
+function voteForRematch(game, userId, gameNamespace) {
+    const offer = rematchOffers.get(game.id);
+    offer.votes.add(userId);
+    const remainingPlayers = connectedPlayers.get(game.id) || new Set();
+    gameNamespace.to(game.id).emit("rematch_vote", {
+        by: userId,
+        username: game.playerData.get(userId).username,
+        votes: Array.from(offer.votes),
+        needed: remainingPlayers.size
+    });
+    startRematchIfAgreed(game, gameNamespace);
+}
+
+/**
+ * Starts the rematch once every player that is still connected to the finished game agreed to it.
+ * The new game has the same settings and is played by the players that agreed.
+ *
+ * @async
+ * @param {Object} game - The in memory game object of the finished game
+ * @param {Object} gameNamespace - The game namespace
+ */
+async function startRematchIfAgreed(game, gameNamespace) {
+    const offer = rematchOffers.get(game.id);
+    const remainingPlayers = Array.from(connectedPlayers.get(game.id) || []);
+    if(!offer || remainingPlayers.length === 0 || !remainingPlayers.every(playerId => offer.votes.has(playerId))){
+        return;
+    }
+    clearTimeout(offer.timeoutId);
+    rematchOffers.delete(game.id);
+    try {
+        //keep the original player order, bots are always up for a rematch
+        const playerIds = game.players.filter(playerId => remainingPlayers.includes(playerId) || isBotId(playerId));
+        const rematchGameId = await createGame(playerIds, getGameSettings(game));
+        game.rematchGameId = rematchGameId;
+        gameNamespace.to(game.id).emit("rematch_started", {gameId: rematchGameId, previousGameId: game.id});
+        logger.info(`Rematch of game ${game.id} started as game ${rematchGameId}`);
+    } catch (err) {
+        logger.error(`Error creating rematch for game ${game.id}: ${err}`);
+        gameNamespace.to(game.id).emit("error", {message: "Failed to create the rematch"});
+    }
+}
+
+/**
+ * Opens the vote on the words challenged during a game that just ended.
+ * Every player still connected to the game, other than the challenger and the player who played the word, can vote on it.
+ * The vote closes once everyone voted on every challenge or after CHALLENGE_VOTE_TIMEOUT, then the challenges are logged to the review queue,
+ * a challenge nobody voted on is left to the moderators without touching the game's results.
+ *
+ * @param {Object} game - The in memory game object of the finished game
+ * @param {Object} gameNamespace - The game namespace
+ */
+function startChallengeVote(game, gameNamespace) {
+    const entry = wordChallenges.get(game.id);
+    if(!entry || entry.challenges.length === 0){
+        return;
+    }
+    entry.expiresAt = Date.now() + CHALLENGE_VOTE_TIMEOUT;
+    entry.timeoutId = setTimeout(() => closeChallengeVote(game, gameNamespace), CHALLENGE_VOTE_TIMEOUT);
+    gameNamespace.to(game.id).emit("challenge_vote_started", {
+        gameId: game.id,
+        expiresAt: entry.expiresAt,
+        challenges: entry.challenges.map(challenge => summarizeChallenge(game, challenge))
+    });
+    logger.info(`Vote on ${entry.challenges.length} challenged words of game ${game.id} started`);
+    closeChallengeVoteIfDone(game, gameNamespace); //there might be nobody left to vote
+}
+
+/**
+ * Records the vote of a player on a challenged word, a player can change their vote until the vote closes
+ *
+ * @param {Object} game - The in memory game object of the finished game
+ * @param {string} userId - The ID of the voting player
+ * @param {{challengeId: string, uphold: boolean}} data - The challenge and whether the word shouldnt count
+ * @param {Object} gameNamespace - The game namespace
+ * @returns {{success: boolean, reason?: string}} The result, sent back to the player
+ */
+function voteOnChallenge(game, userId, data, gameNamespace) {
+    const {challengeId, uphold} = data;
+    const challenge = wordChallenges.get(game.id).challenges.find(challenge => challenge.id === challengeId);
+    if(!challenge){
+        return {success: false, reason: `Challenge ${challengeId} is not part of this vote`};
+    }
+    if(challenge.playerId === userId){
+        return {success: false, reason: 'You cant vote on a challenge of your own word'};
+    }
+    if(challenge.challengedBy === userId){
+        return {success: false, reason: 'You cant vote on your own challenge'};
+    }
+    if(typeof uphold !== 'boolean'){
+        return {success: false, reason: 'uphold must be true or false'};
+    }
+    challenge.votes.set(userId, uphold);
+    gameNamespace.to(game.id).emit("challenge_vote", {
+        challengeId,
+        by: userId,
+        username: game.playerData.get(userId).username,
+        uphold
+    });
+    logger.info(`User ${userId} voted to ${uphold ? 'uphold' : 'reject'} challenge ${challengeId} in game ${game.id}`);
+    closeChallengeVoteIfDone(game, gameNamespace);
+    return {success: true};
+}
+
+function closeChallengeVoteIfDone(game, gameNamespace) {
+    const entry = wordChallenges.get(game.id);
+    if(!entry || !entry.timeoutId){ //the game is still running or there was nothing to vote on
+        return;
+    }
+    const remainingPlayers = Array.from(connectedPlayers.get(game.id) || []);
+    const everyoneVoted = entry.challenges.every(challenge =>
+        remainingPlayers.every(playerId => playerId === challenge.playerId || playerId === challenge.challengedBy || challenge.votes.has(playerId))
+    );
+    if(everyoneVoted){
+        closeChallengeVote(game, gameNamespace);
+    }
+}
+
+/**
+ * Closes the vote on the challenged words, announces the outcome and logs the challenges to the review queue once the game's results are saved
+ *
+ * @param {Object} game - The in memory game object of the finished game
+ * @param {Object} gameNamespace - The game namespace
+ */
+function closeChallengeVote(game, gameNamespace) {
+    const entry = wordChallenges.get(game.id);
+    if(!entry){
+        return;
+    }
+    clearTimeout(entry.timeoutId);
+    wordChallenges.delete(game.id);
+    const challenges = entry.challenges.map(challenge => ({
+        challengeId: challenge.id,
+        word: challenge.word,
+        playerId: challenge.playerId,
+        username: game.playerData.get(challenge.playerId).username,
+        challengedBy: challenge.challengedBy,
+        points: challenge.points,
+        votes: Array.from(challenge.votes, ([playerId, uphold]) => ({playerId, uphold}))
+    }));
+    gameNamespace.to(game.id).emit("challenge_results", {
+        gameId: game.id,
+        challenges: challenges.map((challenge, index) => ({
+            ...summarizeChallenge(game, entry.challenges[index]),
+            status: getVoteOutcome(challenge.votes)
+        }))
+    });
+    logger.info(`Vote on the challenged words of game ${game.id} closed`);
+    Promise.resolve(game.resultsSaved).then(() => recordChallenges(game.id, game.language, challenges)); //the corrections are applied on top of the saved results
+}
+
+function summarizeChallenge(game, challenge) {
+    const upholdVotes = Array.from(challenge.votes.values()).filter(uphold => uphold).length;
+    return {
+        challengeId: challenge.id,
+        word: challenge.word,
+        playerId: challenge.playerId,
+        username: game.playerData.get(challenge.playerId).username,
+        challengedBy: challenge.challengedBy,
+        points: challenge.points,
+        votes: {uphold: upholdVotes, reject: challenge.votes.size - upholdVotes}
+    };
+}
+
+/**
+ * Returns the settings a game was created with, in the format createGame expects
+ *
+ * @param {Object} game - The in memory game object
+ * @returns {Object} The game settings
+ */
+function getGameSettings(game) {
+    return {
+        gameDuration: game.gameDuration,
+        letterAddFrequency: game.letterAddFrequency,
+        victoryThreshold: game.victoryThreshold,
+        scoringRule: game.scoringRule,
+        streakMultiplier: game.streakMultiplier,
+        reconnectGracePeriod: game.reconnectGracePeriod,
+        mode: game.mode,
+        ...game.modeSettings,
+        teamMode: game.teamMode,
+        revealOpponentInput: game.revealOpponentInput,
+        powerUps: game.powerUps,
+        powerUpChargePoints: game.powerUpChargePoints,
+        hintLimit: game.hintLimit,
+        hintCost: game.hintCost,
+        fairStart: game.fairStart,
+        incrementDifficultyMin: game.incrementDifficultyMin,
+        incrementDifficultyMax: game.incrementDifficultyMax,
+        language: game.language,
+        isPublic: game.isPublic,
+        teams: game.teamMode ? Object.fromEntries(Array.from(game.playerData.entries()).map(([playerId, data]) => [playerId, data.team])) : undefined
+    };
+}
+
+/**
+ * Sets up a socket that watches a game without playing in it.
+ * Spectators receive all of the room broadcasts (game_state with the public view of every player, word_scored, game_ended, ...) but cannot send moves,
+ * and are not counted as connected players so they dont affect starting or pausing the game.
+ *
+ * @param {Object} socket - The spectator's socket
+ * @param {Object} game - The in memory game object
+ * @param {Object} gameNamespace - The game namespace
+ */
+function initializeSpectator(socket, game, gameNamespace) {
+    const gameId = game.id;
+    if(!spectators.has(gameId)){
+        spectators.set(gameId, new Set());
+    }
+    spectators.get(gameId).add(socket.id);
+    socket.join(gameId);
+    logger.info(`User ${socket.userId} is spectating game ${gameId}`);
+    gameNamespace.to(gameId).emit("spectator_count", {count: getSpectatorCount(gameId)});
+    if(game.state !== GameState.NOT_STARTED){
+        sendGameState(socket, game);
+    }
+
+    const rejectAction = (data, ack) => {
+        socket.emit("error", {message: "Spectators cannot play in the game"});
+        if(typeof ack === "function"){
+            ack({valid: false, word: data, reason: "Spectators cannot play in the game"});
+        }
+    };
+    socket.on("move", rejectAction);
+    socket.on("written", rejectAction);
+    socket.on("request_full_state", () => sendGameState(socket, game));
+
+    socket.on("disconnect", () => {
+        logger.info(`Spectator ${socket.userId} left game ${gameId}`);
+        const gameSpectators = spectators.get(gameId);
+        if(!gameSpectators){
+            return;
+        }
+        gameSpectators.delete(socket.id);
+        if(gameSpectators.size === 0){
+            spectators.delete(gameId);
+        }
+        gameNamespace.to(gameId).emit("spectator_count", {count: getSpectatorCount(gameId)});
+    });
+}
+
+function getSpectatorCount(gameId) {
+    return spectators.has(gameId) ? spectators.get(gameId).size : 0;
+}
+
+/**
+ * Builds the game state the way a single viewer is allowed to see it: the viewer's own player data in full,
+ * and a public summary (points, word count, ...) of everyone else. The letters and the typed text of the others
+ * are only included for teammates or when the game was created with revealOpponentInput.
+ *
+ * @param {Object} game - The in memory game object
+ * @param {string} viewerId - The ID of the player (or spectator) the state is for
+ * @returns {Object} The game with its maps converted to plain objects and its internals (timers) left out
+ */
+function projectGame(game, viewerId) {
+    const {playerData, pendingPlayers, abandonTimeoutId, ...publicGame} = game;
+    return {
+        ...publicGame,
+        playerData: Object.fromEntries(Array.from(playerData.entries()).map(([playerId, data]) => {
+            if(playerId === viewerId){
+                const {hintedWords, ...ownData} = data; //the player only gets to know the first letter and the length of their hints
+                return [playerId, ownData];
+            }
+            return [playerId, summarizePlayer(game, viewerId, playerId, data)];
+        })),
+        spectatorCount: getSpectatorCount(game.id)
+    };
+}
+
+function summarizePlayer(game, viewerId, playerId, data) {
+    const summary = {
+        username: data.username,
+        points: data.points,
+        wordCount: data.words.length,
+        team: data.team,
+        isPlaying: data.isPlaying,
+        eliminated: data.eliminated,
+        placement: data.placement,
+        charges: data.charges,
+        shielded: data.shielded,
+        frozenUntil: data.frozenUntil
+    };
+    if(canSeeInput(game, viewerId, playerId)){
+        summary.letters = data.letters;
+        summary.written = data.written;
+    }
+    return summary;
+}
+
+/**
+ * Checks if a viewer may see the letters and the typed text of a player
+ *
+ * @param {Object} game - The in memory game object
+ * @param {string} viewerId - The ID of the viewing player or spectator
+ * @param {string} playerId - The ID of the player whose input would be shown
+ * @returns {boolean} True for the player themselves, their teammates, and everyone when the game reveals opponent input
+ */
+function canSeeInput(game, viewerId, playerId) {
+    if(viewerId === playerId || game.revealOpponentInput){
+        return true;
+    }
+    const viewerData = game.playerData.get(viewerId);
+    return !!game.teamMode && !!viewerData && viewerData.team === game.playerData.get(playerId).team;
+}
+
+/**
+ * Sends every socket in the game's room (players and spectators) its own projection of the full game state
+ *
+ * @param {Object} game - The in memory game object
+ * @param {Object} gameNamespace - The game namespace
+ */
+function broadcastGameState(game, gameNamespace) {
+    forEachGameSocket(game, gameNamespace, socket => sendGameState(socket, game));
+}
+
+/**
+ * Sends a socket the full game state, the version of the state is the base the following state_delta events build on
+ *
+ * @param {Object} socket - The socket of a player or spectator
+ * @param {Object} game - The in memory game object
+ */
+function sendGameState(socket, game) {
+    socket.emit("game_state", projectGame(game, socket.userId));
+    socket.stateVersion = game.version;
+}
+
+function forEachGameSocket(game, gameNamespace, callback) {
+    const room = gameNamespace.adapter.rooms.get(game.id);
+    if(!room){
+        return;
+    }
+    room.forEach(socketId => {
+        const socket = gameNamespace.sockets.get(socketId);
+        if(socket){
+            callback(socket);
+        }
+    });
+}
+
+/**
+ * Marks fields of a player as changed, they are sent with the next state_delta.
+ * The changes are sent at most every STATE_SYNC_INTERVAL, callers that cant wait (scoring) call flushChanges themselves.
+ *
+ * @param {Object} game - The in memory game object
+ * @param {string} playerId - The ID of the player whose data changed
+ * @param {string[]} fields - The names of the changed fields of the player data
+ * @param {Object} gameNamespace - The game namespace
+ */
+function markChanged(game, playerId, fields, gameNamespace) {
+    if(!pendingChanges.has(game.id)){
+        pendingChanges.set(game.id, {
+            players: new Map(),
+            timeoutId: setTimeout(() => flushChanges(game, gameNamespace), STATE_SYNC_INTERVAL)
+        });
+    }
+    const players = pendingChanges.get(game.id).players;
+    if(!players.has(playerId)){
+        players.set(playerId, new Set());
+    }
+    fields.forEach(field => players.get(playerId).add(field));
+}
+
+/**
+ * Sends the pending changes of a game as a new state version. Every socket only gets the changes it is allowed to see,
+ * sockets that cant see any of them get nothing and keep their version, the next delta they get starts from it (from).
+ * A client whose version doesnt match the from of a delta missed something and should send request_full_state.
+ *
+ * @param {Object} game - The in memory game object
+ * @param {Object} gameNamespace - The game namespace
+ */
+function flushChanges(game, gameNamespace) {
+    const pending = pendingChanges.get(game.id);
+    if(!pending){
+        return;
+    }
+    clearTimeout(pending.timeoutId);
+    pendingChanges.delete(game.id);
+    if(!games.has(game.id)){
+        return;
+    }
+    game.version++;
+    forEachGameSocket(game, gameNamespace, socket => {
+        const players = buildDelta(game, socket.userId, pending.players);
+        if(Object.keys(players).length === 0){
+            return;
+        }
+        socket.emit("state_delta", {from: socket.stateVersion, version: game.version, players});
+        socket.stateVersion = game.version;
+    });
+}
+
+/**
+ * Picks the changed fields out of the viewer's projection of every changed player, opponents get their wordCount instead of their words
+ *
+ * @param {Object} game - The in memory game object
+ * @param {string} viewerId - The ID of the player (or spectator) the delta is for
+ * @param {Map<string, Set<string>>} changes - The changed fields of every changed player
+ * @returns {Object<string, Object>} Maps player IDs to their changed fields
+ */
+function buildDelta(game, viewerId, changes) {
+    const players = {};
+    changes.forEach((fields, playerId) => {
+        const data = game.playerData.get(playerId);
+        const view = playerId === viewerId ? data : summarizePlayer(game, viewerId, playerId, data);
+        const changed = {};
+        fields.forEach(field => {
+            const key = field === 'words' && playerId !== viewerId ? 'wordCount' : field;
+            if(Object.prototype.hasOwnProperty.call(view, key)){
+                changed[key] = view[key];
+            }
+        });
+        if(Object.keys(changed).length > 0){
+            players[playerId] = changed;
+        }
+    });
+    return players;
+}
+
 /**
  * Creates a new game with the specified players and saves it to the database and the map.
  * 
@@ -215,6 +1111,21 @@ function initializeGameSocket(gameNamespace, authMiddleware) {
  * @param {number} [options.gameDuration] - Game duration in milliseconds (default: 120000)
  * @param {number} [options.letterAddFrequency] - Points needed for letter increase (default: 10)
  * @param {number} [options.victoryThreshold] - Points needed to win (default: 100)
+ * @param {string} [options.scoringRule] - How words are scored, one of the ScoringRule values (default: 'flat')
+ * @param {boolean} [options.streakMultiplier] - Whether consecutive valid words multiply the points (default: false)
+ * @param {number} [options.reconnectGracePeriod] - How long a disconnected player has to come back in milliseconds (default: 10000)
+ * @param {boolean} [options.teamMode] - Whether the players play in teams (default: false)
+ * @param {Object<string, number>} [options.teams] - Maps every player ID to their team number, required in team mode
+ * @param {boolean} [options.revealOpponentInput] - Whether the players can see the letters and the typed text of their opponents (default: false)
+ * @param {string[]} [options.powerUps] - The power ups the players can use, PowerUp values (default: none)
+ * @param {number} [options.powerUpChargePoints] - How many points earn a power up charge (default: 10)
+ * @param {number} [options.hintLimit] - How many hints every player can get, 0 disables hints (default: 3)
+ * @param {number} [options.hintCost] - How many points a hint costs (default: 2)
+ * @param {boolean} [options.fairStart] - Whether every player starts with letters of the same difficulty (default: false)
+ * @param {number} [options.incrementDifficultyMin] - The lowest difficulty (0 easiest to 1 hardest) of the letters added during the game (default: 0)
+ * @param {number} [options.incrementDifficultyMax] - The highest difficulty of the letters added during the game (default: 1)
+ * @param {string} [options.language] - The language of the dictionary and the letters, one of the registered language codes (default: 'en')
+ * @param {boolean} [options.isPublic] - Whether anyone can look up the results and the replay of the game once it is over (default: false)
  * @returns {Promise<string>} Promise that resolves with the ID of the newly created game.
  * @throws {Error} Will throw an error if there is an issue creating the game.
  * @example
@@ -236,6 +1147,23 @@ async function createGame(playerIds, options = {}) { //TODO: add support for mor
         gameDuration: 2 * 60 * 1000,
         letterAddFrequency: 10,
         victoryThreshold: 100,
+        scoringRule: ScoringRule.FLAT,
+        streakMultiplier: false,
+        reconnectGracePeriod: PLAYER_TIMEOUT,
+        mode: DEFAULT_GAME_MODE,
+        teamMode: false,
+        revealOpponentInput: false,
+        powerUps: [], //the enabled power ups, none by default
+        powerUpChargePoints: 10,
+        hintLimit: 3, //hints per player, 0 disables them
+        hintCost: 2,
+        fairStart: false,
+        incrementDifficultyMin: 0, //letter increments pick from the combos between these difficulties
+        incrementDifficultyMax: 1,
+        language: DEFAULT_LANGUAGE,
+        isPublic: false,
+        dailyChallenge: null, //the date of the daily challenge this game is an attempt at
+        seed: null, //games with the same seed get the same letters in the same order
         ...options
     };
     
@@ -248,16 +1176,45 @@ async function createGame(playerIds, options = {}) { //TODO: add support for mor
     if (gameSettings.victoryThreshold < 0 || gameSettings.victoryThreshold > 999) {
         throw new Error('victoryThreshold must be between 0 and 999');
     }
+    if (gameSettings.reconnectGracePeriod < 1000 || gameSettings.reconnectGracePeriod > 300000) {
+        throw new Error('reconnectGracePeriod must be between 1 second and 5 minutes');
+    }
+    if (!isValidScoringRule(gameSettings.scoringRule)) {
+        throw new Error(`scoringRule must be one of: ${Object.values(ScoringRule).join(', ')}`);
+    }
+    const {valid, reason} = validateGameModeSettings(gameSettings, playerIds);
+    if (!valid) {
+        throw new Error(reason);
+    }
+    const powerUpValidation = validatePowerUpSettings(gameSettings.powerUps, gameSettings.powerUpChargePoints);
+    if (!powerUpValidation.valid) {
+        throw new Error(powerUpValidation.reason);
+    }
+    if (!Number.isInteger(gameSettings.hintLimit) || gameSettings.hintLimit < 0 || gameSettings.hintLimit > 99) {
+        throw new Error('hintLimit must be between 0 and 99');
+    }
+    if (!Number.isInteger(gameSettings.hintCost) || gameSettings.hintCost < 0 || gameSettings.hintCost > 999) {
+        throw new Error('hintCost must be between 0 and 999');
+    }
+    const languageValidation = validateLanguage(gameSettings.language);
+    if (!languageValidation.valid) {
+        throw new Error(languageValidation.reason);
+    }
+    getLexicon(gameSettings.language); //loaded at startup, this only throws if the word list couldnt be read
+    const difficultyValidation = validateLetterDifficultySettings(gameSettings.fairStart, gameSettings.incrementDifficultyMin, gameSettings.incrementDifficultyMax);
+    if (!difficultyValidation.valid) {
+        throw new Error(difficultyValidation.reason);
+    }
+    const modeSettings = getModeSettings(getGameMode(gameSettings.mode), gameSettings);
     
     try {
         const gameCode = generateUniqueGameCode(Array.from(gameCodes.keys()));
         const players = playerIds.map(id => {
-            const isInvalidObjectId = !mongoose.Types.ObjectId.isValid(id) && id.startsWith('guest');
-            // what the fuck is this shit (i assume to prevent random ids from being used as guest ids)
-            // if (!isInvalidObjectId && !id.startsWith('guest')) { 
-            //     throw new Error('Invalid player ID');
-            // }
-            return isInvalidObjectId ? { guestId: id } : { user: id };
+            const player = toPlayerRef(id);
+            if (gameSettings.teamMode) {
+                player.team = gameSettings.teams[id];
+            }
+            return player;
         });
 
         const newGame = new Game({
@@ -266,7 +1223,24 @@ async function createGame(playerIds, options = {}) { //TODO: add support for mor
             state: GameState.NOT_STARTED, //waiting for players to join
             gameDuration: gameSettings.gameDuration,
             letterAddFrequency: gameSettings.letterAddFrequency,
-            victoryThreshold: gameSettings.victoryThreshold
+            victoryThreshold: gameSettings.victoryThreshold,
+            scoringRule: gameSettings.scoringRule,
+            streakMultiplier: !!gameSettings.streakMultiplier,
+            reconnectGracePeriod: gameSettings.reconnectGracePeriod,
+            mode: gameSettings.mode,
+            modeSettings: modeSettings,
+            teamMode: !!gameSettings.teamMode,
+            revealOpponentInput: !!gameSettings.revealOpponentInput,
+            powerUps: gameSettings.powerUps,
+            powerUpChargePoints: gameSettings.powerUpChargePoints,
+            hintLimit: gameSettings.hintLimit,
+            hintCost: gameSettings.hintCost,
+            fairStart: gameSettings.fairStart,
+            incrementDifficultyMin: gameSettings.incrementDifficultyMin,
+            incrementDifficultyMax: gameSettings.incrementDifficultyMax,
+            language: gameSettings.language,
+            isPublic: !!gameSettings.isPublic,
+            dailyChallenge: gameSettings.dailyChallenge || undefined
         });
         const savedGame = await newGame.save();
         const gameId = savedGame._id.toString();
@@ -276,15 +1250,36 @@ async function createGame(playerIds, options = {}) { //TODO: add support for mor
             gameCode: gameCode,
             players: playerIds,
             state: GameState.NOT_STARTED,
+            version: 0, //increased with every state_delta
             playerData: new Map(),
             elapsedTime: 0,
             gameDuration: gameSettings.gameDuration,
             letterAddFrequency: gameSettings.letterAddFrequency,
-            victoryThreshold: gameSettings.victoryThreshold
+            victoryThreshold: gameSettings.victoryThreshold,
+            scoringRule: gameSettings.scoringRule,
+            streakMultiplier: !!gameSettings.streakMultiplier,
+            reconnectGracePeriod: gameSettings.reconnectGracePeriod,
+            mode: gameSettings.mode,
+            modeSettings: modeSettings,
+            teamMode: !!gameSettings.teamMode,
+            revealOpponentInput: !!gameSettings.revealOpponentInput,
+            powerUps: [...gameSettings.powerUps],
+            powerUpChargePoints: gameSettings.powerUpChargePoints,
+            hintLimit: gameSettings.hintLimit,
+            hintCost: gameSettings.hintCost,
+            fairStart: gameSettings.fairStart,
+            incrementDifficultyMin: gameSettings.incrementDifficultyMin,
+            incrementDifficultyMax: gameSettings.incrementDifficultyMax,
+            language: gameSettings.language,
+            isPublic: !!gameSettings.isPublic,
+            dailyChallenge: gameSettings.dailyChallenge
         });
+        if (gameSettings.seed !== null && gameSettings.seed !== undefined) {
+            gameRandoms.set(gameId, createSeededRandom(gameSettings.seed));
+        }
 
         for (const playerId of playerIds) {
-            const username = await getUsernameFromId(playerId);//this handles both user and guest ids
+            const username = isBotId(playerId) ? getBotUsername(playerId) : await getUsernameFromId(playerId);//this handles both user and guest ids
 
             logger.info(`Adding playerData ${playerId} with username ${username} to game ${gameId}`);
             games.get(gameId).playerData.set(playerId, {
@@ -294,6 +1289,14 @@ async function createGame(playerIds, options = {}) { //TODO: add support for mor
                 words: [],
                 username: username,
                 letterIncreases: 0,
+                streak: 0, //consecutive valid words, reset by an invalid move
+                charges: 0, //power up charges that can be spent with use_powerup
+                chargesEarned: 0, //every charge earned so far, including the spent ones
+                hintsUsed: 0,
+                hintedWords: [], //the words hints were given for, never sent to the player
+                shielded: false, //blocks the next letter the player would get
+                frozenUntil: 0, //timestamp until which the player cant type or submit words
+                team: gameSettings.teamMode ? gameSettings.teams[playerId] : null,
                 isPlaying: false
             });
         }
@@ -303,6 +1306,9 @@ async function createGame(playerIds, options = {}) { //TODO: add support for mor
             ...games.get(gameId),
             playerData: Array.from(games.get(gameId).playerData.entries())
         })}`);
+        if (namespace) { //cleared as soon as a player connects
+            games.get(gameId).abandonTimeoutId = setTimeout(() => abandonGame(gameId, namespace), JOIN_TIMEOUT);
+        }
         logger.info(`Game created with ID: ${gameId}`);
         return gameId;
     } catch (err) {
@@ -327,42 +1333,260 @@ function generateUniqueGameCode(existingCodes, length=6) {
     return code;
 }
 
+/**
+ * Starts the game clock of a game, the clock is the only thing that ends a game due to time running out.
+ * While running it broadcasts the remaining time to the game room with the time_remaining event.
+ *
+ * @param {Object} game - The in memory game object
+ * @param {Object} namespace - The game namespace
+ */
+function startGameClock(game, namespace) {
+    stopGameClock(game.id);
+    const clock = createGameClock({
+        duration: game.gameDuration,
+        tickInterval: ELAPSED_TIME_INTERVAL,
+        onTick: (status) => {
+            game.elapsedTime = Math.floor(status.elapsed / 1000);
+            namespace.to(game.id).emit("time_remaining", status);
+            const mode = getGameMode(game.mode);
+            if(mode.onTick){
+                mode.onTick(game, status, getModeContext(game, namespace));
+            }
+        },
+        onExpire: (status) => {
+            game.elapsedTime = Math.floor(status.elapsed / 1000);
+            logger.info(`Game ${game.id} ended after ${game.elapsedTime} seconds`);
+            endGame(game.id, namespace).catch(err => logger.error(`Error ending game ${game.id} after its time ran out: ${err}`));
+        }
+    });
+    gameTimers.set(game.id, clock);
+    clock.start();
+    if(game.state === GameState.PAUSED){ //a player disconnected during the start delay, the clock will run once the game is resumed
+        clock.pause();
+    }
+}
+
+function stopGameClock(gameId) {
+    const clock = gameTimers.get(gameId);
+    if(clock){
+        clock.stop();
+        gameTimers.delete(gameId);
+    }
+}
+
+/**
+ * Pauses the game and its clock, and lets the players know how much time is left
+ *
+ * @param {Object} game - The in memory game object
+ * @param {Object} namespace - The game namespace
+ * @param {{reason: string, playerId: string}} [details] - Why the game was paused, recorded in the replay
+ */
+function pauseGame(game, namespace, details = {}) {
+    game.state = GameState.PAUSED;
+    recordEvent(game, ReplayEvent.PAUSED, details.playerId, {reason: details.reason});
+    const clock = gameTimers.get(game.id);
+    if(clock){
+        clock.pause();
+        namespace.to(game.id).emit("time_remaining", clock.getStatus());
+    }
+}
+
+/**
+ * Resumes the game and its clock, and lets the players know how much time is left
+ *
+ * @param {Object} game - The in memory game object
+ * @param {Object} namespace - The game namespace
+ * @param {{reason: string, playerId: string}} [details] - Why the game was resumed, recorded in the replay
+ */
+function resumeGame(game, namespace, details = {}) {
+    if(game.state !== GameState.PAUSED){
+        return;
+    }
+    game.state = GameState.IN_PROGRESS;
+    recordEvent(game, ReplayEvent.RESUMED, details.playerId, {reason: details.reason});
+    const clock = gameTimers.get(game.id);
+    if(clock){
+        clock.resume();
+    }
+}
+
+/**
+ * Appends an event to the replay log of a game.
+ * The time of the event is relative to the moment the letters were distributed so a client can play it back at real speed.
+ *
+ * @param {Object} game - The in memory game object
+ * @param {string} type - One of the ReplayEvent values
+ * @param {string|null} playerId - The player the event belongs to, if any
+ * @param {Object} [data] - Event specific data
+ */
+function recordEvent(game, type, playerId, data = {}) {
+    const events = gameEvents.get(game.id);
+    if(!events){ //the game has not started yet
+        return;
+    }
+    events.push({
+        t: Date.now() - game.startTime,
+        type,
+        playerId: playerId || null,
+        data
+    });
+}
+
+/**
+ * Builds the per player results that are persisted on the Game document
+ *
+ * @param {Object} game - The in memory game object
+ * @param {Object<string, number>} [placements] - Maps player IDs to their final place, for modes that rank every player
+ * @returns {Object[]} The players array of the Game document
+ */
+function buildPlayerResults(game, placements = {}) {
+    return Array.from(game.playerData.entries()).map(([playerId, data]) => ({
+        ...toPlayerRef(playerId),
+        username: data.username,
+        points: data.points,
+        letters: data.letters,
+        words: data.words,
+        team: data.team || undefined,
+        placement: placements[playerId],
+        finished: data.isPlaying || !!data.eliminated //players who left mid game were already marked as not playing, eliminated players played until they were knocked out
+    }));
+}
+
+function clearPendingPlayers(game) {
+    if(!game.pendingPlayers){
+        return;
+    }
+    game.pendingPlayers.forEach(pendingPlayer => clearTimeout(pendingPlayer.timeoutId));
+    game.pendingPlayers.clear();
+}
+
+/**
+ * Removes every in memory trace of a game, the Game document is left as is
+ *
+ * @param {string} gameId - The ID of the game
+ */
+function cleanupGame(gameId) {
+    const game = games.get(gameId);
+    stopGameClock(gameId);
+    stopBots(gameId);
+    gameEvents.delete(gameId);
+    gameRandoms.delete(gameId);
+    if(pendingChanges.has(gameId)){
+        clearTimeout(pendingChanges.get(gameId).timeoutId);
+        pendingChanges.delete(gameId);
+    }
+    if(rematchOffers.has(gameId)){
+        clearTimeout(rematchOffers.get(gameId).timeoutId);
+        rematchOffers.delete(gameId);
+    }
+    if(wordChallenges.has(gameId)){ //challenges of games that never finished are dropped
+        clearTimeout(wordChallenges.get(gameId).timeoutId);
+        wordChallenges.delete(gameId);
+    }
+    connectedPlayers.delete(gameId);
+    spectators.delete(gameId);
+    if(game){
+        clearPendingPlayers(game);
+        if(game.abandonTimeoutId){
+            clearTimeout(game.abandonTimeoutId);
+        }
+        if(game.gameCode && gameCodes.get(game.gameCode) === gameId){
+            gameCodes.delete(game.gameCode);
+        }
+    }
+    games.delete(gameId);
+}
+
+/**
+ * Closes out a game that all of the players left without coming back:
+ * marks it as abandoned in the database (without a winner), lets any spectators know and removes it from memory.
+ *
+ * @async
+ * @param {string} gameId - The ID of the game
+ * @param {Object} namespace - The game namespace
+ */
+async function abandonGame(gameId, namespace) {
+    const game = games.get(gameId);
+    if (!game || game.state === GameState.COMPLETED || game.state === GameState.ABANDONED) return;
+
+    stopGameClock(gameId);
+    stopBots(gameId);
+    game.state = GameState.ABANDONED;
+    game.playerData.forEach(data => {
+        data.isPlaying = false;
+    });
+    recordEvent(game, ReplayEvent.ABANDONED, null, {elapsedTime: game.elapsedTime});
+    const playerResults = buildPlayerResults(game);
+    const events = gameEvents.get(gameId) || [];
+    namespace.to(gameId).emit('game_abandoned', {gameId});
+    cleanupGame(gameId);
+    logger.info(`Game ${gameId} was abandoned by all of its players`);
+    try {
+        await Game.findByIdAndUpdate(gameId, {
+            state: GameState.ABANDONED,
+            players: playerResults,
+            timeElapsed: game.elapsedTime * 1000,
+            startTime: game.startTime ? new Date(game.startTime) : undefined,
+            events: events,
+            endTime: new Date()
+        });
+        logger.info(`Game ${gameId} marked as abandoned in the database`);
+    } catch (err) {
+        logger.error(`Error updating abandoned game ${gameId}: ${err}`);
+    }
+}
+
 async function endGame(gameId, namespace) {
     const game = games.get(gameId);
-    if (!game) return;
+    if (!game || game.state === GameState.COMPLETED || game.state === GameState.ABANDONED) return; //the clock and the victory threshold can both try to end the game
 
+    stopGameClock(gameId);
+    stopBots(gameId);
+    clearPendingPlayers(game);
     game.state = GameState.COMPLETED;
-    let winner = null;
-    let highestScore = -1;
-    game.playerData.forEach((data, playerId) => {
-        if (data.points > highestScore) {
-            highestScore = data.points;
-            winner = playerId;
-        }
+    const results = getGameMode(game.mode).getResults(game);
+    let winner = results.winner || null;
+    const winningTeam = results.winningTeam || null;
+    const playerResults = buildPlayerResults(game, results.placements);
+    game.playerData.forEach(data => {
         data.isPlaying = false;
     });
     const gameResults = {
         gameId: gameId,
         elapsedTime: game.elapsedTime,
+        mode: game.mode,
+        ...results,
         winner: winner,
+        winningTeam: winningTeam,
         scores: Object.fromEntries(
-            await Promise.all(
-                Array.from(game.playerData.entries()).map(async ([id, data]) => {
-                    const username = await getUsernameFromId(id);
-                    return [id, { points: data.points, username }];
-                })
-            )
-        )
+            Array.from(game.playerData.entries()).map(([id, data]) => {
+                return [id, { points: data.points, username: data.username, team: data.team || undefined }];
+            })
+        ),
+        definitions: getPlayedWordDefinitions(game)
     };
     namespace.to(gameId).emit('game_ended', gameResults);
-    if(winner && winner.startsWith('guest')){
-        winner = new Winner({ guestId: winner });
-    }else if(winner){
-        winner = new Winner({ user: winner });
+    recordEvent(game, ReplayEvent.ENDED, null, {winner: gameResults.winner, winningTeam: winningTeam, elapsedTime: game.elapsedTime});
+    const events = gameEvents.get(gameId) || [];
+    gameEvents.delete(gameId);
+    setImmediate(() => sendGameAnalysis(game, events, namespace)); //game_ended shouldnt wait for the dictionary lookups
+    if(game.dailyChallenge){
+        const [playerId, data] = game.playerData.entries().next().value;
+        recordDailyChallengeResult(gameId, data.points, data.words.length);
+        logger.info(`Daily challenge ${game.dailyChallenge} of player ${playerId} ended with ${data.points} points`);
+    }
+    if(winner){
+        winner = new Winner(toPlayerRef(winner));
     }
-    Game.findByIdAndUpdate(gameId, { 
+    game.resultsSaved = Game.findByIdAndUpdate(gameId, { 
         state: GameState.COMPLETED,
         winner: winner,
+        winningTeam: winningTeam,
+        eliminationOrder: results.eliminationOrder,
+        players: playerResults,
+        timeElapsed: game.elapsedTime * 1000,
+        startTime: game.startTime ? new Date(game.startTime) : undefined,
+        events: events,
         endTime: new Date()
     })
     .then(() => {
@@ -371,64 +1595,102 @@ async function endGame(gameId, namespace) {
     .catch(err => {
         logger.error(`Error updating game end state: ${err}`);
     });
+    startChallengeVote(game, namespace);
 }
 
 /**
- * Distributes initial letters to players
- * 
- * @param {GameState} gameState 
- */
-function distributeLetters(gameState){
-    gameState.playerData.forEach((data, playerId) => {
-        const possibleCombos = getNextTierCombos(letterTree, "root");
-        logger.info(`Possible combos for player ${playerId}: ${possibleCombos}`);
-        const randomIndex = Math.floor(Math.random() * possibleCombos.length);
-        logger.info(`Random index for player ${playerId}: ${randomIndex}`);
-        data.letters = possibleCombos[randomIndex];
-        logger.info(`Initial letters for player ${playerId}: ${data.letters}`);
+ * Looks up the definitions of every word accepted in a game
+ *
+ * @param {Object} game - The in memory game object
+ * @returns {Object<string, string>} Maps the lowercase words to their definition, words without a definition are left out
+ */
+function getPlayedWordDefinitions(game) {
+    const lexicon = getLexicon(game.language);
+    const definitions = {};
+    game.playerData.forEach(data => {
+        data.words.forEach(word => {
+            const definition = lexicon.define(word);
+            if (definition) {
+                definitions[word.toLowerCase()] = definition;
+            }
+        });
     });
+    return definitions;
+}
+
+/**
+ * Sends every player the words they missed in a finished game, worked out from the letters they held and the words they played
+ *
+ * @param {Object} game - The in memory game object
+ * @param {Object[]} events - The replay events of the game
+ * @param {Object} namespace - The game namespace
+ */
+function sendGameAnalysis(game, events, namespace) {
+    try {
+        const players = analyzeGame(events, game.players, getLexicon(game.language));
+        namespace.to(game.id).emit('game_analysis', { gameId: game.id, players });
+        logger.info(`Sent the analysis of game ${game.id}`);
+    } catch (error) {
+        logger.error(`Error analyzing game ${game.id}: ${error}`);
+    }
 }
 
 /**
- * Checks if a given word is valid: is it an english word, does it contain at least one instance of all the letters given
+ * Checks if a given word is valid: is it a word of the game's language, does it contain at least one instance of all the letters given
  *
+ * @param {string} languageCode - The language of the game.
  * @param {string} word - The word to validate.
  * @param {string} letters - The letters that the word must contain.
  * @param {string[]} usedWords - An array of words that have already been used in the game.
  * @returns {{valid: boolean, reason: string}} An object indicating whether the word is valid and the reason if it is not.
  */
-function isValidWord(word, letters, usedWords){
+function isValidWord(languageCode, word, letters, usedWords){
     if(!word || !letters){
         return {valid: false, reason: 'Word and letters are required!'};
     }
-    if (typeof word !== 'string' || typeof letters !== 'string' || !/^[a-zA-Z]+$/.test(word) || !/^[a-zA-Z]+$/.test(letters)) {
+    const lexicon = getLexicon(languageCode);
+    if (typeof word !== 'string' || typeof letters !== 'string' || !lexicon.alphabet.isInAlphabet(word) || !lexicon.alphabet.isInAlphabet(letters)) {
         return {valid: false, reason: 'Word and letters must be strings and only contain letters'};
     }
-    const lowerWord = word.toLowerCase();
-    const lowerLetters = letters.toLowerCase();
-    if(!words.has(lowerWord)){
+    if(!lexicon.has(word)){
         return {valid: false, reason: `${word} is not a word!`};
     }
-    if(usedWords && usedWords.includes(lowerWord)){
+    const normalizedWord = lexicon.alphabet.normalize(word);
+    if(usedWords && usedWords.some(usedWord => lexicon.alphabet.normalize(usedWord) === normalizedWord)){ //words are kept the way they were typed
         return {valid: false, reason: `${word} has already been used!`};
     }
-    for (const char of lowerLetters) {
-        if (!lowerWord.includes(char)) {
-          return {valid: false, reason: `${word} doesnt contain the letter: ${char}!`};
-        }
+    if(!lexicon.containsLetters(word, letters)){
+        return {valid: false, reason: `${word} doesnt contain the letter: ${lexicon.alphabet.findMissingLetter(word, letters)}!`};
     }
     return {valid: true, reason: ''};
 }
 
-function incrementLetters(letters){
+/**
+ * Adds a letter to a combo, picking one of the next combos in the letter tree within the game's increment difficulty range
+ *
+ * @param {Object} game - The in memory game object
+ * @param {string} letters - The current letters
+ * @returns {string} The new letters, the current letters if the tree has no longer combo
+ */
+function incrementLetters(game, letters){
+    const { letterTree, comboScores } = getLexicon(game.language);
     const lowerLetters = letters.toLowerCase();
     const possibleCombos = getNextTierCombos(letterTree, lowerLetters);
     if(!possibleCombos || possibleCombos.length === 0){
         // If there are no possible combos, return the current letters
         return letters;
     }
-    const randomIndex = Math.floor(Math.random() * possibleCombos.length);
-    return possibleCombos[randomIndex];
+    return pickComboInRange(possibleCombos, comboScores, game.incrementDifficultyMin, game.incrementDifficultyMax, getRandom(game.id));
+}
+
+/**
+ * Returns the random number generator letters of a game are picked with: the game's seeded generator if it has one, Math.random otherwise
+ *
+ * @param {string} gameId - The ID of the game
+ * @returns {function(): number} The random number generator
+ */
+function getRandom(gameId) {
+    return gameRandoms.get(gameId) || Math.random;
 }
 
 module.exports = {
@@ -1,8 +1,16 @@
 const gameModule = require("./gameSocket");
 const logger = require("../utils/logger");
 const Guest = require("../models/Guest");
+const ScoringRule = require("../types/scoringRule");
+const { isValidScoringRule } = require("../utils/scoring");
+const { validateTeams, isValidTeam, pickTeam, MAX_TEAMS } = require("../utils/teams");
+const { BOT_DIFFICULTIES, isValidBotDifficulty, createBotId, getBotUsername } = require("../utils/bots");
+const { DEFAULT_GAME_MODE, isValidGameMode, getGameModeNames, validateGameModeSettings } = require("../gameModes");
+const { validatePowerUpSettings } = require("../utils/powerUps");
+const { validateLetterDifficultySettings } = require("../utils/letterDifficulty");
+const { DEFAULT_LANGUAGE, validateLanguage } = require("../languages");
 
-const lobbies = new Map(); //{lobbyCode: string, {players: {playerId: string, username: string, ready: boolean}[], admin: {playerId: string, username: string}}}
+const lobbies = new Map(); //{lobbyCode: string, {players: {playerId: string, username: string, ready: boolean, team?: number, isBot?: boolean, difficulty?: string}[], admin: {playerId: string, username: string}}}
 const socketToUser = new Map(); //{socketId: string, playerId: string}
 
 const CHECK_INTERVAL = 60 * 1000; // 1 minute in milliseconds.
@@ -39,11 +47,58 @@ function broadcastLobbyState(namespace, lobbyCode) {
             gameSettings: lobby.gameSettings || {
                 gameDuration: 2 * 60 * 1000,
                 letterAddFrequency: 10,
-                victoryThreshold: 100
+                victoryThreshold: 100,
+                scoringRule: ScoringRule.FLAT,
+                streakMultiplier: false,
+                reconnectGracePeriod: 10 * 1000,
+                mode: DEFAULT_GAME_MODE,
+                teamMode: false,
+                revealOpponentInput: false,
+                isPublic: false,
+                powerUps: [],
+                powerUpChargePoints: 10,
+                hintLimit: 3,
+                hintCost: 2,
+                fairStart: false,
+                incrementDifficultyMin: 0,
+                incrementDifficultyMax: 1,
+                language: DEFAULT_LANGUAGE
             }
         });
     }
 }
+/**
+ * Builds the options passed to createGame from the lobby settings, in team mode the teams of the players are added
+ * @param {Object} lobby
+ * @returns {Object} The game options
+ */
+function getGameOptions(lobby) {
+    const options = {...lobby.gameSettings};
+    if (options.teamMode) {
+        options.teams = Object.fromEntries(lobby.players.map(player => [player.playerId, player.team]));
+    }
+    return options;
+}
+/**
+ * Checks that the lobby can start a game with its current teams, always valid when team mode is off
+ * @param {Object} lobby
+ * @returns {{valid: boolean, reason: string}}
+ */
+function validateLobbyTeams(lobby) {
+    if (!lobby.gameSettings || !lobby.gameSettings.teamMode) {
+        return {valid: true, reason: ''};
+    }
+    return validateTeams(lobby.players.map(player => player.playerId), getGameOptions(lobby).teams);
+}
+/**
+ * Checks that the lobby's players can play the chosen game mode with its settings (e.g. elimination needs at least 3 players)
+ * @param {Object} lobby
+ * @returns {{valid: boolean, reason: string}}
+ */
+function validateLobbyMode(lobby) {
+    const options = getGameOptions(lobby);
+    return validateGameModeSettings({...options, mode: options.mode || DEFAULT_GAME_MODE}, lobby.players.map(player => player.playerId));
+}
 /**
  * Call this function whenever there's a lobby update (player join/leave, etc.)
  * to update the lastActive timestamp.
@@ -57,12 +112,12 @@ function updateLobbyActivity(lobbyId) {
 }
 /**
  * Checks all lobbies for inactivity.
- * If a lobby has no players and has been inactive for over 30 minutes, it gets deleted.
+ * If a lobby has no players (bots dont count) and has been inactive for over 30 minutes, it gets deleted.
  */
 function checkLobbiesForInactivity() {
     const now = Date.now();
     for (const [lobbyId, lobby] of lobbies.entries()) {
-      if (lobby.players.length === 0 && (now - lobby.lastActive > INACTIVITY_LIMIT)) {
+      if (lobby.players.every(player => player.isBot) && (now - lobby.lastActive > INACTIVITY_LIMIT)) {
         lobbies.delete(lobbyId);
         console.log(`Deleted lobby ${lobbyId} due to inactivity`);
       }
@@ -85,7 +140,22 @@ function initializeLobbySocket(lobbyNamespace) {
                 gameSettings: {
                     gameDuration: 2 * 60 * 1000,
                     letterAddFrequency: 10,
-                    victoryThreshold: 100
+                    victoryThreshold: 100,
+                    scoringRule: ScoringRule.FLAT,
+                    streakMultiplier: false,
+                    reconnectGracePeriod: 10 * 1000,
+                    mode: DEFAULT_GAME_MODE,
+                    teamMode: false,
+                    revealOpponentInput: false,
+                    isPublic: false,
+                    powerUps: [],
+                    powerUpChargePoints: 10,
+                    hintLimit: 3,
+                    hintCost: 2,
+                    fairStart: false,
+                    incrementDifficultyMin: 0,
+                    incrementDifficultyMax: 1,
+                    language: DEFAULT_LANGUAGE
                 }
             }); //the admin is still expected to join the lobby via the join_lobby event
             logger.info(`Lobby created with code ${code}`); 
@@ -109,7 +179,11 @@ function initializeLobbySocket(lobbyNamespace) {
             }
             const playerIndex = lobby.players.findIndex(player => player.playerId === playerId);
             if(playerIndex === -1) {
-                lobby.players.push({playerId, username, ready: false});
+                const player = {playerId, username, ready: false};
+                if(lobby.gameSettings && lobby.gameSettings.teamMode){
+                    player.team = pickTeam(lobby.players);
+                }
+                lobby.players.push(player);
             }
             socket.join(code);
             socket.emit('joined_lobby', {code, players: lobby.players, admin: lobby.admin});
@@ -155,8 +229,27 @@ function initializeLobbySocket(lobbyNamespace) {
 
             const allPlayersReady = lobby.players.every(player => player.ready === true);
             if(allPlayersReady && lobby.players.length > 1){
+                const teamsValidation = validateLobbyTeams(lobby);
+                if(!teamsValidation.valid){
+                    logger.info(`All players are ready in lobby ${code} but the teams are invalid: ${teamsValidation.reason}`);
+                    lobbyNamespace.to(code).emit('invalid_teams', {code, reason: teamsValidation.reason});
+                    return;
+                }
+                const modeValidation = validateLobbyMode(lobby);
+                if(!modeValidation.valid){
+                    logger.info(`All players are ready in lobby ${code} but the game mode cant be played: ${modeValidation.reason}`);
+                    lobbyNamespace.to(code).emit('invalid_game_settings', {code, reason: modeValidation.reason});
+                    return;
+                }
                 logger.info(`All players are ready in lobby ${code}, starting game...`);
-                const gameId = await gameModule.createGame(lobby.players.map(player => player.playerId), lobby.gameSettings);
+                let gameId;
+                try {
+                    gameId = await gameModule.createGame(lobby.players.map(player => player.playerId), getGameOptions(lobby));
+                } catch (error) {
+                    logger.error(`Error creating the game of lobby ${code}: ${error}`);
+                    lobbyNamespace.to(code).emit('invalid_game_settings', {code, reason: error.message});
+                    return;
+                }
                 lobbyNamespace.to(code).emit('start_game', {gameId});
                 //TODO: keep lobby alive until:
                 //game is over and then after a timeout(to allow for players to either leave or choose to stay)
@@ -230,13 +323,196 @@ function initializeLobbySocket(lobbyNamespace) {
                 socket.emit('invalid_game_settings', {code, reason: 'victoryThreshold must be between 0 and 999'});
                 return;
             }
-            
+            if (gameSettings.reconnectGracePeriod && (gameSettings.reconnectGracePeriod < 1000 || gameSettings.reconnectGracePeriod > 300000)) {
+                socket.emit('invalid_game_settings', {code, reason: 'reconnectGracePeriod must be between 1 second and 5 minutes'});
+                return;
+            }
+            if (gameSettings.mode !== undefined && !isValidGameMode(gameSettings.mode)) {
+                socket.emit('invalid_game_settings', {code, reason: `mode must be one of: ${getGameModeNames().join(', ')}`});
+                return;
+            }
+            if (gameSettings.teamMode !== undefined && typeof gameSettings.teamMode !== 'boolean') {
+                socket.emit('invalid_game_settings', {code, reason: 'teamMode must be a boolean'});
+                return;
+            }
+            if (gameSettings.revealOpponentInput !== undefined && typeof gameSettings.revealOpponentInput !== 'boolean') {
+                socket.emit('invalid_game_settings', {code, reason: 'revealOpponentInput must be a boolean'});
+                return;
+            }
+            if (gameSettings.isPublic !== undefined && typeof gameSettings.isPublic !== 'boolean') {
+                socket.emit('invalid_game_settings', {code, reason: 'isPublic must be a boolean'});
+                return;
+            }
+            if (gameSettings.powerUps !== undefined || gameSettings.powerUpChargePoints !== undefined) {
+                const {valid, reason} = validatePowerUpSettings(
+                    gameSettings.powerUps !== undefined ? gameSettings.powerUps : [],
+                    gameSettings.powerUpChargePoints !== undefined ? gameSettings.powerUpChargePoints : 10
+                );
+                if (!valid) {
+                    socket.emit('invalid_game_settings', {code, reason});
+                    return;
+                }
+            }
+            if (gameSettings.hintLimit !== undefined && (!Number.isInteger(gameSettings.hintLimit) || gameSettings.hintLimit < 0 || gameSettings.hintLimit > 99)) {
+                socket.emit('invalid_game_settings', {code, reason: 'hintLimit must be between 0 and 99'});
+                return;
+            }
+            if (gameSettings.hintCost !== undefined && (!Number.isInteger(gameSettings.hintCost) || gameSettings.hintCost < 0 || gameSettings.hintCost > 999)) {
+                socket.emit('invalid_game_settings', {code, reason: 'hintCost must be between 0 and 999'});
+                return;
+            }
+            if (gameSettings.language !== undefined) {
+                const {valid, reason} = validateLanguage(gameSettings.language);
+                if (!valid) {
+                    socket.emit('invalid_game_settings', {code, reason});
+                    return;
+                }
+            }
+            if (gameSettings.fairStart !== undefined || gameSettings.incrementDifficultyMin !== undefined || gameSettings.incrementDifficultyMax !== undefined) {
+                const {valid, reason} = validateLetterDifficultySettings(
+                    gameSettings.fairStart !== undefined ? gameSettings.fairStart : false,
+                    gameSettings.incrementDifficultyMin !== undefined ? gameSettings.incrementDifficultyMin : 0,
+                    gameSettings.incrementDifficultyMax !== undefined ? gameSettings.incrementDifficultyMax : 1
+                );
+                if (!valid) {
+                    socket.emit('invalid_game_settings', {code, reason});
+                    return;
+                }
+            }
+            if (gameSettings.scoringRule && !isValidScoringRule(gameSettings.scoringRule)) {
+                socket.emit('invalid_game_settings', {code, reason: `scoringRule must be one of: ${Object.values(ScoringRule).join(', ')}`});
+                return;
+            }
+            if (gameSettings.streakMultiplier !== undefined && typeof gameSettings.streakMultiplier !== 'boolean') {
+                socket.emit('invalid_game_settings', {code, reason: 'streakMultiplier must be a boolean'});
+                return;
+            }
+            if (gameSettings.dailyChallenge !== undefined || gameSettings.seed !== undefined) {
+                socket.emit('invalid_game_settings', {code, reason: 'The daily challenge can only be started through POST /api/game/daily/start'});
+                return;
+            }
+
             lobby.gameSettings = gameSettings;
+            if(gameSettings.teamMode){
+                //put everyone that isnt on a team yet on the smaller team
+                lobby.players.forEach(player => {
+                    if(!isValidTeam(player.team)){
+                        player.team = pickTeam(lobby.players);
+                    }
+                });
+            }
             broadcastLobbyState(lobbyNamespace, code);
             logger.info(`User ${playerId} set game settings in lobby ${code}`);
             updateLobbyActivity(code);
         });
 
+        socket.on('add_bot', (data) => {
+            const code = data.code;
+            const playerId = data.playerId;
+            const difficulty = data.difficulty || 'medium';
+            if(!validateCodeSyntax(code)){
+                logger.warn(`User tried to add a bot in invalid lobby code ${code}`);
+                socket.emit('invalid_lobby_code', {code});
+                return;
+            }
+            const lobby = lobbies.get(code);
+            if(!lobby){
+                logger.warn(`User ${playerId} tried to add a bot in non-existent lobby ${code}`);
+                socket.emit('lobby_not_found', {code});
+                return;
+            }
+            if(playerId !== lobby.admin.playerId){
+                logger.warn(`User ${playerId} tried to add a bot in lobby ${code} that they are not the admin`);
+                socket.emit('not_admin', {code});
+                return;
+            }
+            if(!isValidBotDifficulty(difficulty)){
+                socket.emit('invalid_bot', {code, reason: `difficulty must be one of: ${Object.keys(BOT_DIFFICULTIES).join(', ')}`});
+                return;
+            }
+            const botId = createBotId(difficulty);
+            const bot = {playerId: botId, username: getBotUsername(botId), ready: true, isBot: true, difficulty};
+            if(lobby.gameSettings && lobby.gameSettings.teamMode){
+                bot.team = pickTeam(lobby.players);
+            }
+            lobby.players.push(bot);
+            broadcastLobbyState(lobbyNamespace, code);
+            logger.info(`User ${playerId} added bot ${botId} to lobby ${code}`);
+            updateLobbyActivity(code);
+        });
+
+        socket.on('remove_bot', (data) => {
+            const code = data.code;
+            const playerId = data.playerId;
+            if(!validateCodeSyntax(code)){
+                logger.warn(`User tried to remove a bot in invalid lobby code ${code}`);
+                socket.emit('invalid_lobby_code', {code});
+                return;
+            }
+            const lobby = lobbies.get(code);
+            if(!lobby){
+                logger.warn(`User ${playerId} tried to remove a bot in non-existent lobby ${code}`);
+                socket.emit('lobby_not_found', {code});
+                return;
+            }
+            if(playerId !== lobby.admin.playerId){
+                logger.warn(`User ${playerId} tried to remove a bot in lobby ${code} that they are not the admin`);
+                socket.emit('not_admin', {code});
+                return;
+            }
+            const botIndex = lobby.players.findIndex(player => player.isBot && player.playerId === data.botId);
+            if(botIndex === -1){
+                socket.emit('invalid_bot', {code, reason: `Bot ${data.botId} is not in the lobby`});
+                return;
+            }
+            lobby.players.splice(botIndex, 1);
+            broadcastLobbyState(lobbyNamespace, code);
+            logger.info(`User ${playerId} removed bot ${data.botId} from lobby ${code}`);
+            updateLobbyActivity(code);
+        });
+
+        //a player can switch their own team, the admin can switch anyone's team by passing targetPlayerId
+        socket.on('set_team', (data) => {
+            const code = data.code;
+            const playerId = data.playerId;
+            const targetPlayerId = data.targetPlayerId || playerId;
+            const team = data.team;
+            if(!validateCodeSyntax(code)){
+                logger.warn(`User tried to set team in invalid lobby code ${code}`);
+                socket.emit('invalid_lobby_code', {code});
+                return;
+            }
+            const lobby = lobbies.get(code);
+            if(!lobby){
+                logger.warn(`User ${playerId} tried to set team in non-existent lobby ${code}`);
+                socket.emit('lobby_not_found', {code});
+                return;
+            }
+            if(targetPlayerId !== playerId && playerId !== lobby.admin.playerId){
+                logger.warn(`User ${playerId} tried to set the team of ${targetPlayerId} in lobby ${code} that they are not the admin`);
+                socket.emit('not_admin', {code});
+                return;
+            }
+            if(!lobby.gameSettings || !lobby.gameSettings.teamMode){
+                socket.emit('invalid_teams', {code, reason: 'Team mode is not enabled in this lobby'});
+                return;
+            }
+            if(!isValidTeam(team)){
+                socket.emit('invalid_teams', {code, reason: `team must be a number between 1 and ${MAX_TEAMS}`});
+                return;
+            }
+            const playerIndex = lobby.players.findIndex(player => player.playerId === targetPlayerId);
+            if(playerIndex === -1) {
+                logger.warn(`User ${playerId} tried to set the team of ${targetPlayerId} who is not in lobby ${code}`);
+                socket.emit('lobby_not_found', {code});
+                return;
+            }
+            lobby.players[playerIndex].team = team;
+            broadcastLobbyState(lobbyNamespace, code);
+            logger.info(`User ${targetPlayerId} joined team ${team} in lobby ${code}`);
+            updateLobbyActivity(code);
+        });
+
         socket.on('leave_lobby', (data) => {
             const code = data.code;
             const playerId = data.playerId;
@@ -288,7 +564,26 @@ function initializeLobbySocket(lobbyNamespace) {
                 socket.emit('not_enough_players', {code});
                 return;
             }
-            const gameId = await gameModule.createGame(lobby.players.map(player => player.playerId), lobby.gameSettings);
+            const teamsValidation = validateLobbyTeams(lobby);
+            if(!teamsValidation.valid){
+                logger.warn(`User ${playerId} tried to start game in lobby ${code} with invalid teams: ${teamsValidation.reason}`);
+                socket.emit('invalid_teams', {code, reason: teamsValidation.reason});
+                return;
+            }
+            const modeValidation = validateLobbyMode(lobby);
+            if(!modeValidation.valid){
+                logger.warn(`User ${playerId} tried to start game in lobby ${code} with invalid game mode settings: ${modeValidation.reason}`);
+                socket.emit('invalid_game_settings', {code, reason: modeValidation.reason});
+                return;
+            }
+            let gameId;
+            try {
+                gameId = await gameModule.createGame(lobby.players.map(player => player.playerId), getGameOptions(lobby));
+            } catch (error) {
+                logger.error(`Error creating the game of lobby ${code}: ${error}`);
+                socket.emit('invalid_game_settings', {code, reason: error.message});
+                return;
+            }
             lobbyNamespace.to(code).emit('start_game', {gameId});
             updateLobbyActivity(code);
             //TODO: keep lobby alive until:
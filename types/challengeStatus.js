@@ -0,0 +1,7 @@
+const ChallengeStatus = Object.freeze({
+    PENDING: 'pending', //nobody but the challenger could vote, a moderator has to decide
+    UPHELD: 'upheld', //the word didnt count, its points were taken back
+    REJECTED: 'rejected' //the word stands
+});
+
+module.exports = ChallengeStatus;
@@ -0,0 +1,8 @@
+const PowerUp = Object.freeze({
+    REROLL: 'reroll', //swap your letters for another combination with the same number of letters
+    FREEZE: 'freeze', //an opponent cant type or submit words for a few seconds
+    SHIELD: 'shield', //blocks the next letter you would get
+    REMOVE_LETTER: 'remove_letter' //drop your newest letter
+});
+
+module.exports = PowerUp;
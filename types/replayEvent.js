@@ -0,0 +1,17 @@
+const ReplayEvent = Object.freeze({
+    LETTERS_DISTRIBUTED: 'letters_distributed', //a player received their starting letters
+    WRITTEN: 'written', //a player's input text changed
+    MOVE: 'move', //a player submitted a word, valid or not
+    LETTERS_INCREMENTED: 'letters_incremented', //a player received another letter because an opponent crossed the letterAddFrequency
+    ELIMINATED: 'eliminated', //a player was knocked out of an elimination game
+    POWERUP_USED: 'powerup_used', //a player spent a charge on a power up
+    SHIELD_BLOCKED: 'shield_blocked', //a shield absorbed a letter the player would have gotten
+    HINT: 'hint', //a player paid for a hint, the data has the hinted word
+    WORD_CHALLENGED: 'word_challenged', //a player flagged an opponent's accepted word, it is voted on once the game is over
+    PAUSED: 'paused',
+    RESUMED: 'resumed',
+    ENDED: 'ended',
+    ABANDONED: 'abandoned' //every player left and nobody came back
+});
+
+module.exports = ReplayEvent;
@@ -0,0 +1,7 @@
+const ScoringRule = Object.freeze({
+    FLAT: 'flat', //every word is worth one point
+    PER_LETTER: 'per_letter', //every letter in the word is worth one point
+    RARE_LETTERS: 'rare_letters' //per letter scoring plus a bonus for every rare letter in the word
+});
+
+module.exports = ScoringRule;
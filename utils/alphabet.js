@@ -0,0 +1,65 @@
+const MAX_ALPHABET_SIZE = 31; //every letter gets a bit in a letter mask
+
+/**
+ * Creates the letter helpers of a language's alphabet.
+ * Words are compared after normalizing: lowercased, in NFC form, then run through the language's own normalize (e.g. dropping accents),
+ * so a word only has to contain the normalized form of a letter.
+ *
+ * @param {string} letters - Every letter of the alphabet, lowercase and without duplicates, e.g. "abcdefghijklmnopqrstuvwxyz"
+ * @param {function(string): string} [normalize] - Maps a lowercase word to the letters of the alphabet, e.g. "é" to "e"
+ * @returns {{letters: string, normalize: function(string): string, isInAlphabet: function(string): boolean, getLetterMask: function(string): number, findMissingLetter: function(string, string): string|null}} The alphabet helpers
+ * @throws {Error} If the alphabet is empty, has duplicate letters or is too large for a letter mask
+ */
+function createAlphabet(letters, normalize = text => text) {
+    const letterList = Array.from(letters);
+    if (letterList.length === 0 || letterList.length > MAX_ALPHABET_SIZE) {
+        throw new Error(`An alphabet must have between 1 and ${MAX_ALPHABET_SIZE} letters`);
+    }
+    const bits = new Map(letterList.map((letter, index) => [letter, index]));
+    if (bits.size !== letterList.length) {
+        throw new Error(`The alphabet ${letters} has duplicate letters`);
+    }
+
+    const normalizeText = text => normalize(text.toLowerCase().normalize('NFC'));
+
+    /**
+     * Checks that a text is made only of letters of the alphabet (after normalizing)
+     */
+    const isInAlphabet = text => {
+        const normalized = normalizeText(text);
+        return normalized.length > 0 && Array.from(normalized).every(letter => bits.has(letter));
+    };
+
+    /**
+     * Returns a bit mask of the alphabet letters in a text, the first letter of the alphabet is bit 0
+     */
+    const getLetterMask = text => {
+        let mask = 0;
+        for (const letter of normalizeText(text)) {
+            if (bits.has(letter)) {
+                mask |= 1 << bits.get(letter);
+            }
+        }
+        return mask;
+    };
+
+    /**
+     * Returns the first of the letters the word doesnt contain, or null if it contains all of them
+     */
+    const findMissingLetter = (word, requiredLetters) => {
+        const normalizedWord = normalizeText(word);
+        for (const letter of normalizeText(requiredLetters)) {
+            if (!normalizedWord.includes(letter)) {
+                return letter;
+            }
+        }
+        return null;
+    };
+
+    return Object.freeze({letters, normalize: normalizeText, isInAlphabet, getLetterMask, findMissingLetter});
+}
+
+module.exports = {
+    MAX_ALPHABET_SIZE,
+    createAlphabet
+};
@@ -0,0 +1,111 @@
+const { v4: uuidv4 } = require('uuid');
+const english = require('../languages/en');
+const { pickTop } = require('./wordStats');
+
+const BOT_PREFIX = 'bot-';
+const CANDIDATE_POOL_SIZE = 20; //how many of the best fitting words a bot randomly picks from, so it doesnt always play the same word
+
+//how each difficulty behaves:
+//thinkTime - random delay range in milliseconds before the bot starts typing a word
+//typingDelay - milliseconds per typed character
+//errorRate - chance that the submitted word contains a typo
+//wordChoice - 'short' prefers short words, 'long' prefers long words, 'any' picks at random
+const BOT_DIFFICULTIES = Object.freeze({
+    easy: Object.freeze({ thinkTime: [4000, 8000], typingDelay: 350, errorRate: 0.25, wordChoice: 'short' }),
+    medium: Object.freeze({ thinkTime: [2500, 5000], typingDelay: 220, errorRate: 0.12, wordChoice: 'any' }),
+    hard: Object.freeze({ thinkTime: [1000, 2500], typingDelay: 120, errorRate: 0.04, wordChoice: 'long' })
+});
+
+/**
+ * Checks if a player ID belongs to a server side bot
+ *
+ * @param {string} playerId - The player ID to check
+ * @returns {boolean} True if the ID is a bot ID
+ */
+function isBotId(playerId) {
+    return typeof playerId === 'string' && playerId.startsWith(BOT_PREFIX);
+}
+
+function isValidBotDifficulty(difficulty) {
+    return Object.prototype.hasOwnProperty.call(BOT_DIFFICULTIES, difficulty);
+}
+
+/**
+ * Creates a new unique bot player ID, the difficulty is encoded in the ID so it survives being passed around as a plain player ID
+ *
+ * @param {string} difficulty - One of the BOT_DIFFICULTIES keys
+ * @returns {string} The bot ID, e.g. "bot-hard-3f2a9c1e"
+ */
+function createBotId(difficulty) {
+    if (!isValidBotDifficulty(difficulty)) {
+        throw new Error(`Bot difficulty must be one of: ${Object.keys(BOT_DIFFICULTIES).join(', ')}`);
+    }
+    return `${BOT_PREFIX}${difficulty}-${uuidv4().slice(0, 8)}`;
+}
+
+/**
+ * Returns the difficulty settings of a bot
+ *
+ * @param {string} botId - The bot ID
+ * @returns {{thinkTime: number[], typingDelay: number, errorRate: number, wordChoice: string}} The difficulty settings, medium if the ID has an unknown difficulty
+ */
+function getBotDifficulty(botId) {
+    const difficulty = botId.slice(BOT_PREFIX.length).split('-')[0];
+    return isValidBotDifficulty(difficulty) ? BOT_DIFFICULTIES[difficulty] : BOT_DIFFICULTIES.medium;
+}
+
+function getBotUsername(botId) {
+    const difficulty = botId.slice(BOT_PREFIX.length).split('-')[0];
+    return `Bot (${difficulty})`;
+}
+
+/**
+ * Picks a word for a bot to play
+ *
+ * @param {Object} lexicon - The lexicon of the game's language, see utils/lexicon.js
+ * @param {string} letters - The letters the word must contain
+ * @param {string[]} usedWords - Words the bot already played
+ * @param {string} wordChoice - 'short', 'long' or 'any'
+ * @returns {string|null} A valid unused word or null if there is none
+ */
+function chooseBotWord(lexicon, letters, usedWords, wordChoice) {
+    const candidates = lexicon.findWords(letters, usedWords);
+    if (candidates.length === 0) {
+        return null;
+    }
+    let pool = candidates;
+    if (wordChoice === 'short') {
+        pool = pickTop(candidates, CANDIDATE_POOL_SIZE, (a, b) => a.length - b.length);
+    } else if (wordChoice === 'long') {
+        pool = pickTop(candidates, CANDIDATE_POOL_SIZE, (a, b) => b.length - a.length);
+    }
+    return pool[Math.floor(Math.random() * pool.length)];
+}
+
+/**
+ * Makes a typo in a word by replacing one of its characters with a random letter
+ *
+ * @param {string} word - The word to misspell
+ * @param {Object} [alphabet] - The alphabet the random letter is picked from (default: english)
+ * @returns {string} The misspelled word
+ */
+function makeTypo(word, alphabet = english.alphabet) {
+    const index = Math.floor(Math.random() * word.length);
+    const letters = alphabet.letters;
+    let replacement = word[index];
+    while (replacement === word[index]) {
+        replacement = letters.charAt(Math.floor(Math.random() * letters.length));
+    }
+    return word.slice(0, index) + replacement + word.slice(index + 1);
+}
+
+module.exports = {
+    BOT_DIFFICULTIES,
+    isBotId,
+    isValidBotDifficulty,
+    createBotId,
+    getBotDifficulty,
+    getBotUsername,
+    chooseBotWord,
+    makeTypo
+};
@@ -0,0 +1,67 @@
+const DailyAttempt = require('../models/DailyAttempt');
+const ScoringRule = require('../types/scoringRule');
+const logger = require('./logger');
+
+//every daily challenge is played with the same settings so the scores are comparable
+const DAILY_CHALLENGE_SETTINGS = Object.freeze({
+    gameDuration: 2 * 60 * 1000,
+    letterAddFrequency: 10,
+    victoryThreshold: 0, //play until the time runs out
+    scoringRule: ScoringRule.PER_LETTER,
+    streakMultiplier: false
+});
+
+/**
+ * Returns the key of the daily challenge for a given moment, the challenge changes at midnight UTC
+ *
+ * @param {Date} [date=new Date()] - The moment to get the challenge for
+ * @returns {string} The challenge date, e.g. "2025-01-31"
+ */
+function getChallengeDate(date = new Date()) {
+    return date.toISOString().slice(0, 10);
+}
+
+function isValidChallengeDate(dateKey) {
+    return typeof dateKey === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(dateKey) && !isNaN(new Date(dateKey).getTime());
+}
+
+/**
+ * Returns the seed every game of a daily challenge uses for its letters.
+ * DAILY_CHALLENGE_SECRET (optional) keeps the upcoming challenges from being computed ahead of time.
+ *
+ * @param {string} dateKey - The challenge date
+ * @returns {string} The seed
+ */
+function getChallengeSeed(dateKey) {
+    return `daily-${dateKey}-${process.env.DAILY_CHALLENGE_SECRET || ''}`;
+}
+
+/**
+ * Saves the final score of a daily challenge game on the player's attempt, which puts it on the leaderboard
+ *
+ * @async
+ * @param {string} gameId - The ID of the daily challenge game
+ * @param {number} points - The final points of the player
+ * @param {number} wordCount - How many words the player played
+ */
+async function recordDailyChallengeResult(gameId, points, wordCount) {
+    try {
+        await DailyAttempt.findOneAndUpdate({ game: gameId }, {
+            points,
+            wordCount,
+            completed: true,
+            finishedAt: new Date()
+        });
+        logger.info(`Daily challenge result of game ${gameId} recorded with ${points} points`);
+    } catch (err) {
+        logger.error(`Error recording daily challenge result of game ${gameId}: ${err}`);
+    }
+}
+
+module.exports = {
+    DAILY_CHALLENGE_SETTINGS,
+    getChallengeDate,
+    isValidChallengeDate,
+    getChallengeSeed,
+    recordDailyChallengeResult
+};
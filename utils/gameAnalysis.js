@@ -0,0 +1,82 @@
+const ReplayEvent = require('../types/replayEvent');
+const { DEFAULT_SAMPLE_SIZE } = require('./wordStats');
+
+const LETTER_CHANGES = [ReplayEvent.LETTERS_DISTRIBUTED, ReplayEvent.LETTERS_INCREMENTED, ReplayEvent.POWERUP_USED];
+
+/**
+ * Goes over the replay log of a game and collects the letters every player held, with the words they played while holding them
+ *
+ * @param {Object[]} events - The replay events of the game
+ * @param {string[]} playerIds - The IDs of the players
+ * @returns {Map<string, Map<string, string[]>>} Maps every player ID to their letters (in the order they first got them) and the words played with them
+ */
+function getLetterHistory(events, playerIds) {
+    const history = new Map(playerIds.map(playerId => [playerId, new Map()]));
+    const currentLetters = new Map();
+    for (const event of events) {
+        const combos = history.get(event.playerId);
+        if (!combos) {
+            continue;
+        }
+        if (LETTER_CHANGES.includes(event.type)) {
+            const letters = event.type === ReplayEvent.LETTERS_DISTRIBUTED ? event.data.letters : event.data.to; //increments, rerolls and removed letters all record the new letters as to
+            if (typeof letters !== 'string' || !letters) { //power ups that dont change letters
+                continue;
+            }
+            currentLetters.set(event.playerId, letters.toLowerCase());
+            if (!combos.has(letters.toLowerCase())) {
+                combos.set(letters.toLowerCase(), []);
+            }
+        } else if (event.type === ReplayEvent.MOVE && event.data.valid && currentLetters.has(event.playerId)) {
+            combos.get(currentLetters.get(event.playerId)).push(event.data.word);
+        }
+    }
+    return history;
+}
+
+function toPercentage(part, total) {
+    return total > 0 ? Math.round(part / total * 10000) / 100 : 0; //two decimals, a player only ever finds a small part of the words for a single letter
+}
+
+/**
+ * Works out the words every player missed: for every combo they held, how many valid words there were,
+ * how many of them the player found, and the longest and rarest words they didnt play.
+ * Only the played words are looked at one by one, the counts and samples come from the lexicon's cached counts and precomputed orders.
+ *
+ * @param {Object[]} events - The replay events of the finished game
+ * @param {string[]} playerIds - The IDs of the players
+ * @param {Object} lexicon - The lexicon of the game's language, see utils/lexicon.js
+ * @returns {Object<string, {coverage: number, combos: {letters: string, validWords: number, played: number, coverage: number, samples: {longest: string[], rare: string[]}}[]}>}
+ *   Maps every player ID to their analysis, coverage is the percentage of the valid words the player found (over every combo they held)
+ */
+function analyzeGame(events, playerIds, lexicon) {
+    const analysis = {};
+    getLetterHistory(events, playerIds).forEach((combos, playerId) => {
+        let totalValid = 0;
+        let totalPlayed = 0;
+        const comboResults = Array.from(combos, ([letters, played]) => {
+            const validWords = lexicon.countWords(letters);
+            const playedWords = new Set(played.map(lexicon.alphabet.normalize)); //the way the letter checks see them, e.g. without accents
+            const playedCount = Array.from(playedWords).filter(word => lexicon.has(word) && lexicon.containsLetters(word, letters)).length;
+            const isMissed = word => !playedWords.has(lexicon.alphabet.normalize(word));
+            totalValid += validWords;
+            totalPlayed += playedCount;
+            return {
+                letters,
+                validWords,
+                played: playedCount,
+                coverage: toPercentage(playedCount, validWords),
+                samples: {
+                    longest: lexicon.findSortedWords(letters, { order: 'longest', count: DEFAULT_SAMPLE_SIZE, accept: isMissed }),
+                    rare: lexicon.findSortedWords(letters, { order: 'rarest', count: DEFAULT_SAMPLE_SIZE, accept: isMissed })
+                }
+            };
+        });
+        analysis[playerId] = {coverage: toPercentage(totalPlayed, totalValid), combos: comboResults};
+    });
+    return analysis;
+}
+
+module.exports = {
+    analyzeGame
+};
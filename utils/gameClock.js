@@ -0,0 +1,98 @@
+const DEFAULT_TICK_INTERVAL = 1000; //1 second
+
+/**
+ * Creates a game clock that only counts time while it is running, so time spent paused is not counted against the game.
+ * The clock calls onTick on every tick while running and calls onExpire exactly once when the duration is used up.
+ *
+ * @param {Object} options
+ * @param {number} options.duration - Total running time of the clock in milliseconds
+ * @param {function({elapsed: number, remaining: number, duration: number}): void} [options.onTick] - Called on every tick while the clock is running
+ * @param {function({elapsed: number, remaining: number, duration: number}): void} [options.onExpire] - Called once when the clock runs out
+ * @param {number} [options.tickInterval=1000] - Time between ticks in milliseconds
+ * @returns {{start: function, pause: function, resume: function, stop: function, isRunning: function, getElapsed: function, getRemaining: function, getStatus: function}} The clock controls
+ * @example
+ * const clock = createGameClock({
+ *   duration: 120000,
+ *   onTick: (status) => namespace.to(gameId).emit('time_remaining', status),
+ *   onExpire: () => endGame(gameId, namespace)
+ * });
+ * clock.start();
+ * clock.pause(); //player disconnected
+ * clock.resume(); //player reconnected
+ */
+function createGameClock({ duration, onTick, onExpire, tickInterval = DEFAULT_TICK_INTERVAL }) {
+    let accumulated = 0; //running time of all the previous (paused) segments
+    let runningSince = null; //timestamp of when the current segment started, null while paused or stopped
+    let intervalId = null;
+    let expired = false;
+
+    function getElapsed() {
+        const current = runningSince === null ? 0 : Date.now() - runningSince;
+        return Math.min(accumulated + current, duration);
+    }
+
+    function getRemaining() {
+        return duration - getElapsed();
+    }
+
+    function getStatus() {
+        return { elapsed: getElapsed(), remaining: getRemaining(), duration, running: isRunning() };
+    }
+
+    function isRunning() {
+        return runningSince !== null;
+    }
+
+    function tick() {
+        if (!isRunning() || expired) {
+            return;
+        }
+        const status = getStatus();
+        if (status.remaining <= 0) {
+            expired = true;
+            stop();
+            if (onExpire) onExpire(getStatus());
+            return;
+        }
+        if (onTick) onTick(status);
+    }
+
+    function start() {
+        if (intervalId || expired) {
+            return;
+        }
+        runningSince = Date.now();
+        intervalId = setInterval(tick, tickInterval);
+        tick();
+    }
+
+    function pause() {
+        if (!isRunning()) {
+            return;
+        }
+        accumulated += Date.now() - runningSince;
+        runningSince = null;
+    }
+
+    function resume() {
+        if (isRunning() || !intervalId || expired) {
+            return;
+        }
+        runningSince = Date.now();
+        tick();
+    }
+
+    function stop() {
+        pause();
+        if (intervalId) {
+            clearInterval(intervalId);
+            intervalId = null;
+        }
+    }
+
+    return { start, pause, resume, stop, isRunning, getElapsed, getRemaining, getStatus };
+}
+
+module.exports = {
+    createGameClock
+};
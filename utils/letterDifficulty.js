@@ -0,0 +1,126 @@
+const DIFFICULTY_BANDS = 5; //fair start splits the starting combos into this many bands and gives every player a combo from the same one
+const UNKNOWN_DIFFICULTY = 0.5; //for combos that are not in the letter tree
+
+/**
+ * Scores every letter combo in the letter tree by how many dictionary words contain all of its letters.
+ * The difficulty of a combo is its rank among the combos with the same number of letters, from 0 (the most words) to 1 (the fewest words).
+ *
+ * @param {Object} tree - The letter tree (e.g. { "root": { ... } })
+ * @param {Object} lexicon - The lexicon of the language, see utils/lexicon.js
+ * @returns {Map<string, {wordCount: number, difficulty: number}>} Maps every combo to its score
+ */
+function scoreLetterTree(tree, lexicon) {
+    const tiers = new Map(); //maps a combo length to the word counts of the combos with that length
+    const visit = (node, combo) => {
+        for (const letter of Object.keys(node)) {
+            const nextCombo = combo + letter;
+            if (!tiers.has(nextCombo.length)) {
+                tiers.set(nextCombo.length, []);
+            }
+            tiers.get(nextCombo.length).push([nextCombo, lexicon.countWords(nextCombo)]);
+            visit(node[letter], nextCombo);
+        }
+    };
+    visit(tree.root || {}, '');
+
+    const scores = new Map();
+    tiers.forEach(combos => {
+        combos.sort((a, b) => b[1] - a[1]);
+        let rank = 0;
+        combos.forEach(([combo, wordCount], index) => {
+            if (index > 0 && wordCount !== combos[index - 1][1]) { //combos with the same word count are equally hard
+                rank = index;
+            }
+            scores.set(combo, {wordCount, difficulty: combos.length > 1 ? rank / (combos.length - 1) : 0});
+        });
+    });
+    return scores;
+}
+
+function getDifficulty(scores, combo) {
+    const score = scores.get(combo);
+    return score ? score.difficulty : UNKNOWN_DIFFICULTY;
+}
+
+/**
+ * Returns the fair start band of a difficulty
+ *
+ * @param {number} difficulty - A difficulty between 0 and 1
+ * @returns {number} The band, 0 (easiest) to DIFFICULTY_BANDS - 1 (hardest)
+ */
+function getDifficultyBand(difficulty) {
+    return Math.min(Math.floor(difficulty * DIFFICULTY_BANDS), DIFFICULTY_BANDS - 1);
+}
+
+/**
+ * Picks a random combo out of the options whose difficulty is within the range.
+ * If none of them are, picks one of the options closest to the range so the player still gets a letter.
+ *
+ * @param {string[]} options - The combos to pick from
+ * @param {Map<string, {wordCount: number, difficulty: number}>} scores - The combo scores from scoreLetterTree
+ * @param {number} min - The lowest allowed difficulty
+ * @param {number} max - The highest allowed difficulty
+ * @param {function(): number} [random=Math.random] - The random number generator
+ * @returns {string|null} The picked combo or null if there are no options
+ */
+function pickComboInRange(options, scores, min, max, random = Math.random) {
+    if (options.length === 0) {
+        return null;
+    }
+    const distance = combo => {
+        const difficulty = getDifficulty(scores, combo);
+        return difficulty < min ? min - difficulty : Math.max(difficulty - max, 0);
+    };
+    const closestDistance = Math.min(...options.map(distance));
+    const candidates = options.filter(combo => distance(combo) === closestDistance);
+    return candidates[Math.floor(random() * candidates.length)];
+}
+
+/**
+ * Picks a random combo out of the options that is in the given fair start band
+ *
+ * @param {string[]} options - The combos to pick from
+ * @param {Map<string, {wordCount: number, difficulty: number}>} scores - The combo scores from scoreLetterTree
+ * @param {number} band - The band from getDifficultyBand
+ * @param {function(): number} [random=Math.random] - The random number generator
+ * @returns {string|null} The picked combo, any of the options if none are in the band, null if there are no options
+ */
+function pickComboInBand(options, scores, band, random = Math.random) {
+    const inBand = options.filter(combo => getDifficultyBand(getDifficulty(scores, combo)) === band);
+    const candidates = inBand.length > 0 ? inBand : options;
+    if (candidates.length === 0) {
+        return null;
+    }
+    return candidates[Math.floor(random() * candidates.length)];
+}
+
+/**
+ * Checks the letter difficulty settings of a game
+ *
+ * @param {boolean} fairStart - Whether every player starts with a combo from the same difficulty band
+ * @param {number} min - The lowest difficulty of the combos letter increments pick from
+ * @param {number} max - The highest difficulty of the combos letter increments pick from
+ * @returns {{valid: boolean, reason: string}}
+ */
+function validateLetterDifficultySettings(fairStart, min, max) {
+    if (typeof fairStart !== 'boolean') {
+        return {valid: false, reason: 'fairStart must be a boolean'};
+    }
+    const isDifficulty = value => typeof value === 'number' && value >= 0 && value <= 1;
+    if (!isDifficulty(min) || !isDifficulty(max)) {
+        return {valid: false, reason: 'incrementDifficultyMin and incrementDifficultyMax must be between 0 and 1'};
+    }
+    if (min > max) {
+        return {valid: false, reason: 'incrementDifficultyMin cant be higher than incrementDifficultyMax'};
+    }
+    return {valid: true, reason: ''};
+}
+
+module.exports = {
+    DIFFICULTY_BANDS,
+    scoreLetterTree,
+    getDifficultyBand,
+    pickComboInRange,
+    pickComboInBand,
+    validateLetterDifficultySettings
+};
@@ -0,0 +1,102 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('./logger');
+
+const DEFAULT_MIN_VALID_WORDS_SHARE = 0.025; //by default a combo needs 2.5% of the words to contain it
+const DEFAULT_MAX_DEPTH = 4; //the most letters a player can have
+const CACHE_DIR = path.join(__dirname, '..', 'cache', 'letterTrees');
+
+/**
+ * Builds the letter tree the letters of a game are picked from.
+ * Every path from the root is a combo of different letters in alphabet order, and a combo is only in the tree if at least minValidWords words contain all of its letters.
+ * Combos that cant be extended all the way to maxDepth letters are left out, so every combo a player gets can grow to the full size.
+ *
+ * @param {Object} lexicon - The lexicon of the language, see utils/lexicon.js
+ * @param {Object} options
+ * @param {number} options.minValidWords - How many words must contain a combo
+ * @param {number} options.maxDepth - The most letters in a combo
+ * @returns {{root: Object}} The letter tree, e.g. { "root": { "a": { "e": { ... } } } }
+ * @throws {Error} If no combo has enough words
+ */
+function buildLetterTree(lexicon, { minValidWords, maxDepth }) {
+    const letters = Array.from(lexicon.alphabet.letters);
+    const masks = lexicon.getLetterMasks(); //words with the same letters are counted together, there are far fewer letter masks than words
+
+    const buildNode = (firstLetter, comboMask, depth, candidates) => {
+        const node = {};
+        for (let i = firstLetter; i < letters.length; i++) {
+            const childMask = comboMask | (1 << i);
+            const matching = candidates.filter(([mask]) => (mask & childMask) === childMask); //only words that contain the parent combo can contain the child
+            const wordCount = matching.reduce((total, [, count]) => total + count, 0);
+            if (wordCount < minValidWords) {
+                continue;
+            }
+            if (depth + 1 === maxDepth) {
+                node[letters[i]] = {};
+                continue;
+            }
+            const child = buildNode(i + 1, childMask, depth + 1, matching);
+            if (Object.keys(child).length > 0) { //combos that cant grow to maxDepth letters are left out
+                node[letters[i]] = child;
+            }
+        }
+        return node;
+    };
+
+    const root = buildNode(0, 0, 0, masks);
+    if (Object.keys(root).length === 0) {
+        throw new Error(`No combo of ${maxDepth} letters is contained in ${minValidWords} words, lower minValidWords or maxDepth`);
+    }
+    return {root};
+}
+
+/**
+ * Returns the letter tree of a language, built from its word list.
+ * The tree is cached on disk with a hash of the word list and the tree options, and rebuilt when any of them change.
+ *
+ * @param {Object} language - The language definition, see languages/index.js
+ * @param {Object} lexicon - The lexicon of the language, see utils/lexicon.js
+ * @returns {{root: Object}} The letter tree
+ */
+function loadLetterTree(language, lexicon) {
+    const options = {
+        minValidWords: language.minValidWords !== undefined ? language.minValidWords : Math.floor(lexicon.words.size * DEFAULT_MIN_VALID_WORDS_SHARE),
+        maxDepth: language.maxDepth !== undefined ? language.maxDepth : DEFAULT_MAX_DEPTH
+    };
+    const key = {
+        wordsHash: crypto.createHash('sha1').update(fs.readFileSync(language.wordsPath)).digest('hex'),
+        alphabet: language.alphabet.letters,
+        ...options
+    };
+    const cachePath = path.join(CACHE_DIR, `${language.code}.json`);
+
+    try {
+        if (fs.existsSync(cachePath)) {
+            const cached = JSON.parse(fs.readFileSync(cachePath, 'utf8'));
+            if (JSON.stringify(cached.key) === JSON.stringify(key)) {
+                logger.info(`Loaded the letter tree of ${language.code} from ${cachePath}`);
+                return cached.tree;
+            }
+            logger.info(`The word list or tree options of ${language.code} changed, rebuilding its letter tree`);
+        }
+    } catch (error) {
+        logger.warn(`Ignoring the unreadable letter tree cache ${cachePath}: ${error.message}`);
+    }
+
+    const startTime = Date.now();
+    const tree = buildLetterTree(lexicon, options);
+    logger.info(`Built the letter tree of ${language.code} in ${Date.now() - startTime}ms (at least ${options.minValidWords} words per combo, up to ${options.maxDepth} letters)`);
+    try {
+        fs.mkdirSync(CACHE_DIR, { recursive: true });
+        fs.writeFileSync(cachePath, JSON.stringify({key, tree}));
+    } catch (error) {
+        logger.warn(`Could not cache the letter tree of ${language.code}: ${error.message}`); //the tree is still used, it is just rebuilt on the next start
+    }
+    return tree;
+}
+
+module.exports = {
+    buildLetterTree,
+    loadLetterTree
+};
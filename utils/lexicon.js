@@ -0,0 +1,181 @@
+const logger = require('./logger');
+const { DEFAULT_LANGUAGE, getLanguage, getLanguages } = require('../languages');
+const { loadDictionary, loadDefinitions } = require('./wordUtils');
+const { loadLetterTree } = require('./letterTree');
+const { scoreLetterTree } = require('./letterDifficulty');
+const { getLetterRarity, rankByScore } = require('./wordStats');
+
+const MAX_CACHED_COUNTS = 10000; //word counts of letter sets are cached, the cache is cleared when it gets this big
+
+const lexicons = new Map(); //maps language codes to their lexicon, loaded once and shared by every module
+
+/**
+ * Loads the dictionary of a language and indexes its words by their letter mask (the set of letters a word is made of),
+ * so finding or counting the words that contain a set of letters only has to go over the distinct letter sets instead of every word.
+ * Words with characters outside of the language's alphabet are kept in the dictionary but left out of the index.
+ *
+ * @param {Object} language - The language definition, see languages/index.js
+ * @returns {Object} The lexicon, see getLexicon
+ */
+function createLexicon(language) {
+    const alphabet = language.alphabet;
+    const words = loadDictionary(language.wordsPath);
+    const index = new Map(); //maps letter masks to the words made of exactly those letters
+    const indexedWords = [];
+    const indexedMasks = []; //the letter mask of every indexed word, at the same position
+    const spellings = new Map(); //maps the normalized form of the words the alphabet changes (e.g. drops accents from) to their dictionary spelling
+    let longestWordLength = 0;
+    for (const word of words) {
+        longestWordLength = Math.max(longestWordLength, word.length);
+        const normalized = alphabet.normalize(word);
+        if (normalized !== word && !spellings.has(normalized)) {
+            spellings.set(normalized, word);
+        }
+        if (!alphabet.isInAlphabet(word)) {
+            continue;
+        }
+        const mask = alphabet.getLetterMask(word);
+        if (!index.has(mask)) {
+            index.set(mask, []);
+        }
+        index.get(mask).push(word);
+        indexedWords.push(word);
+        indexedMasks.push(mask);
+    }
+    const countCache = new Map();
+    const definitions = language.definitionsPath ? loadDefinitions(language.definitionsPath) : new Map();
+
+    const normalizeWord = word => word.toLowerCase().normalize('NFC');
+
+    const lookup = word => {
+        const lowerWord = normalizeWord(word);
+        return words.has(lowerWord) ? lowerWord : (spellings.get(alphabet.normalize(word)) || null);
+    };
+
+    const has = word => lookup(word) !== null;
+
+    const define = word => definitions.get(normalizeWord(word)) || definitions.get(lookup(word)) || null;
+
+    const containsLetters = (word, letters) => {
+        const lettersMask = alphabet.getLetterMask(letters);
+        return (alphabet.getLetterMask(word) & lettersMask) === lettersMask;
+    };
+
+    const countWords = letters => {
+        const lettersMask = alphabet.getLetterMask(letters);
+        if (!countCache.has(lettersMask)) {
+            let count = 0;
+            index.forEach((maskWords, mask) => {
+                if ((mask & lettersMask) === lettersMask) {
+                    count += maskWords.length;
+                }
+            });
+            if (countCache.size >= MAX_CACHED_COUNTS) {
+                countCache.clear();
+            }
+            countCache.set(lettersMask, count);
+        }
+        return countCache.get(lettersMask);
+    };
+
+    const findWords = (letters, exclude = []) => {
+        const lettersMask = alphabet.getLetterMask(letters);
+        const excluded = new Set(exclude.map(normalizeWord));
+        const matches = [];
+        index.forEach((maskWords, mask) => {
+            if ((mask & lettersMask) === lettersMask) {
+                maskWords.forEach(word => {
+                    if (!excluded.has(word)) {
+                        matches.push(word);
+                    }
+                });
+            }
+        });
+        return matches;
+    };
+
+    const getLetterMasks = () => Array.from(index, ([mask, maskWords]) => [mask, maskWords.length]);
+
+    const letterRarity = getLetterRarity(getLetterMasks(), alphabet.letters);
+    const getRarity = word => Array.from(alphabet.normalize(word)).reduce((rarity, letter) => rarity + (letterRarity.get(letter) || 0), 0);
+
+    //every indexed word in each of the orders findSortedWords supports, worked out once so a lookup only has to scan until it has enough words
+    const orders = {
+        alphabetical: Uint32Array.from(indexedWords.keys()).sort((a, b) => indexedWords[a] < indexedWords[b] ? -1 : 1),
+        longest: rankByScore(indexedWords.map(word => word.length)),
+        rarest: rankByScore(indexedWords.map(getRarity))
+    };
+
+    const findSortedWords = (letters, { order = 'alphabetical', count = Infinity, accept } = {}) => {
+        const ranking = orders[order];
+        if (!ranking) {
+            throw new Error(`order must be one of: ${Object.keys(orders).join(', ')}`);
+        }
+        const lettersMask = alphabet.getLetterMask(letters);
+        const matches = [];
+        for (let position = 0; position < ranking.length && matches.length < count; position++) {
+            const wordIndex = ranking[position];
+            if ((indexedMasks[wordIndex] & lettersMask) === lettersMask && (!accept || accept(indexedWords[wordIndex]))) {
+                matches.push(indexedWords[wordIndex]);
+            }
+        }
+        return matches;
+    };
+
+    const lexicon = {language, alphabet, words, longestWordLength, lookup, has, define, containsLetters, countWords, findWords, findSortedWords, getRarity, getLetterMasks};
+    lexicon.letterTree = loadLetterTree(language, lexicon);
+    lexicon.comboScores = scoreLetterTree(lexicon.letterTree, lexicon); //how many words contain every combo in the letter tree, used to balance the letters players get
+    logger.info(`Loaded the ${language.code} lexicon: ${words.size} words in ${index.size} letter sets`);
+    return Object.freeze(lexicon);
+}
+
+/**
+ * Returns the shared lexicon of a language, loading it the first time it is asked for.
+ * The lexicon has:
+ * - language, alphabet - the language definition and its alphabet helpers
+ * - words - the dictionary as a set of lowercase words
+ * - longestWordLength - the length of the longest word in the dictionary
+ * - lookup(word) - the dictionary spelling of a word, also found when it is typed the way the alphabet normalizes it (e.g. without accents), null if it isnt a word
+ * - has(word) - whether a word is in the dictionary, see lookup
+ * - define(word) - the short definition of a word from the language's definitions file, null if it has none
+ * - containsLetters(word, letters) - whether a word contains all of the letters
+ * - countWords(letters) - how many words contain all of the letters
+ * - findWords(letters, exclude?) - the words that contain all of the letters, in no particular order, leaving out the excluded words
+ * - findSortedWords(letters, {order?, count?, accept?}) - the first count words that contain all of the letters and pass accept(word), in one of the orders:
+ *   'alphabetical' (default), 'longest' (ties alphabetical) or 'rarest' (words without rare letters are left out)
+ * - getRarity(word) - the rarity points of every letter of the word added up, how rare a letter is comes from the share of the words that contain it
+ * - getLetterMasks() - every distinct letter set of the dictionary as [mask, wordCount] pairs
+ * - letterTree - the letter tree the letters of a game are picked from, see utils/letterTree.js
+ * - comboScores - the difficulty of every combo in the letter tree, see utils/letterDifficulty.js
+ *
+ * @param {string} [code=DEFAULT_LANGUAGE] - The language code
+ * @returns {Object} The lexicon
+ * @throws {Error} If the language is not registered or its word list cant be loaded
+ */
+function getLexicon(code = DEFAULT_LANGUAGE) {
+    if (!lexicons.has(code)) {
+        const language = getLanguage(code);
+        if (!language) {
+            throw new Error(`Unknown language ${code}`);
+        }
+        lexicons.set(code, createLexicon(language));
+    }
+    return lexicons.get(code);
+}
+
+/**
+ * Loads the lexicon of every installed language up front, indexing a dictionary blocks for a few seconds and shouldnt happen while games are running
+ */
+function loadInstalledLexicons() {
+    getLanguages().filter(language => language.installed).forEach(language => getLexicon(language.code));
+}
+
+function isLexiconLoaded(code) {
+    return lexicons.has(code);
+}
+
+module.exports = {
+    getLexicon,
+    loadInstalledLexicons,
+    isLexiconLoaded
+};
@@ -0,0 +1,118 @@
+const PowerUp = require('../types/powerUp');
+
+const FREEZE_DURATION = 3 * 1000; //3 seconds
+
+function isValidPowerUp(type) {
+    return Object.values(PowerUp).includes(type);
+}
+
+/**
+ * Checks the power up settings of a game
+ *
+ * @param {string[]} powerUps - The enabled power ups
+ * @param {number} chargePoints - How many points earn a charge
+ * @returns {{valid: boolean, reason: string}}
+ */
+function validatePowerUpSettings(powerUps, chargePoints) {
+    if (!Array.isArray(powerUps) || !powerUps.every(isValidPowerUp)) {
+        return {valid: false, reason: `powerUps must be a list of: ${Object.values(PowerUp).join(', ')}`};
+    }
+    if (!Number.isInteger(chargePoints) || chargePoints < 1 || chargePoints > 999) {
+        return {valid: false, reason: 'powerUpChargePoints must be between 1 and 999'};
+    }
+    return {valid: true, reason: ''};
+}
+
+/**
+ * Returns how many power up charges a player earned with their points, one every chargePoints points
+ *
+ * @param {number} points - The points of the player
+ * @param {number} chargePoints - How many points earn a charge
+ * @returns {number} The number of charges earned so far
+ */
+function getEarnedCharges(points, chargePoints) {
+    return chargePoints > 0 ? Math.floor(points / chargePoints) : 0;
+}
+
+/**
+ * Spends one of the player's charges on a power up and applies it to the game
+ *
+ * @param {Object} game - The in memory game object
+ * @param {string} playerId - The ID of the player using the power up
+ * @param {string} type - One of the PowerUp values
+ * @param {string} [targetId] - The ID of the opponent, required for freeze
+ * @param {function(string): string[]} getSameTierCombos - Returns every letter combination with as many letters as the given one
+ * @param {function(): number} [random=Math.random] - The random number generator used for rerolls
+ * @returns {{success: boolean, reason: string, targetId?: string, changes?: Array<[string, string[]]>, details?: Object}}
+ *   changes lists the changed fields of every affected player, details is what gets recorded in the replay log
+ */
+function applyPowerUp(game, playerId, type, targetId, getSameTierCombos, random = Math.random) {
+    const data = game.playerData.get(playerId);
+    if (!isValidPowerUp(type)) {
+        return {success: false, reason: `type must be one of: ${Object.values(PowerUp).join(', ')}`};
+    }
+    if (data.charges <= 0) {
+        return {success: false, reason: 'You have no power up charges left'};
+    }
+    let result;
+    switch (type) {
+        case PowerUp.REROLL: {
+            const options = getSameTierCombos(data.letters).filter(combo => combo !== data.letters);
+            if (options.length === 0) {
+                return {success: false, reason: 'There are no other letters to reroll to'};
+            }
+            const previousLetters = data.letters;
+            data.letters = options[Math.floor(random() * options.length)];
+            result = {changes: [[playerId, ['letters']]], details: {from: previousLetters, to: data.letters}};
+            break;
+        }
+        case PowerUp.FREEZE: {
+            const target = game.playerData.get(targetId);
+            if (!target || targetId === playerId) {
+                return {success: false, reason: 'freeze needs an opponent as the targetId'};
+            }
+            if (game.teamMode && target.team === data.team) {
+                return {success: false, reason: 'You cant freeze a teammate'};
+            }
+            if (target.eliminated) {
+                return {success: false, reason: 'That player was already eliminated'};
+            }
+            target.frozenUntil = Date.now() + FREEZE_DURATION;
+            result = {targetId, changes: [[targetId, ['frozenUntil']]], details: {until: target.frozenUntil}};
+            break;
+        }
+        case PowerUp.SHIELD: {
+            if (data.shielded) {
+                return {success: false, reason: 'Your shield is already up'};
+            }
+            data.shielded = true;
+            result = {changes: [[playerId, ['shielded']]], details: {}};
+            break;
+        }
+        case PowerUp.REMOVE_LETTER: {
+            if (data.letters.length < 2) {
+                return {success: false, reason: 'You need at least two letters to remove one'};
+            }
+            const previousLetters = data.letters;
+            data.letters = data.letters.slice(0, -1); //letters are added at the end, so this goes back to the previous combination
+            result = {changes: [[playerId, ['letters']]], details: {from: previousLetters, to: data.letters}};
+            break;
+        }
+    }
+    data.charges--;
+    result.changes.push([playerId, ['charges']]);
+    return {success: true, reason: '', ...result};
+}
+
+function isFrozen(data) {
+    return !!data.frozenUntil && data.frozenUntil > Date.now();
+}
+
+module.exports = {
+    FREEZE_DURATION,
+    isValidPowerUp,
+    validatePowerUpSettings,
+    getEarnedCharges,
+    applyPowerUp,
+    isFrozen
+};
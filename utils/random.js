@@ -0,0 +1,40 @@
+/**
+ * Hashes a string into a 32 bit unsigned integer (FNV-1a), used to turn a seed string into a numeric seed
+ *
+ * @param {string} str - The string to hash
+ * @returns {number} The hash
+ */
+function hashString(str) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        hash ^= str.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Creates a seeded pseudo random number generator (mulberry32).
+ * The same seed always produces the same sequence, which is what makes shared challenges reproducible.
+ *
+ * @param {string|number} seed - The seed
+ * @returns {function(): number} A drop in replacement for Math.random
+ * @example
+ * const random = createSeededRandom('daily-2025-01-31');
+ * random(); // 0.5823... (always the same for this seed)
+ */
+function createSeededRandom(seed) {
+    let state = typeof seed === 'number' ? seed >>> 0 : hashString(String(seed));
+    return function random() {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+module.exports = {
+    hashString,
+    createSeededRandom
+};
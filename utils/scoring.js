@@ -0,0 +1,89 @@
+const ScoringRule = require('../types/scoringRule');
+
+const POINTS_PER_WORD = 1;
+const POINTS_PER_LETTER = 1;
+const RARE_LETTER_BONUS = Object.freeze({ //extra points per occurrence, letters not listed give no bonus
+    j: 3, q: 3, x: 3, z: 3,
+    k: 2, v: 2,
+    b: 1, f: 1, h: 1, w: 1, y: 1
+});
+const STREAK_STEP = 0.5; //every consecutive valid word adds this much to the multiplier
+const MAX_STREAK_MULTIPLIER = 3;
+
+/**
+ * Checks if the given value is one of the supported scoring rules
+ *
+ * @param {string} rule - The scoring rule to check
+ * @returns {boolean} True if the rule is supported
+ */
+function isValidScoringRule(rule) {
+    return Object.values(ScoringRule).includes(rule);
+}
+
+/**
+ * Returns the base points of a word (before the streak multiplier) for the given scoring rule
+ *
+ * @param {string} word - The (already validated) word
+ * @param {string} rule - One of the ScoringRule values
+ * @returns {{base: number, bonus: number}} The points for the word itself and the rare letter bonus
+ */
+function getBasePoints(word, rule) {
+    const lowerWord = word.toLowerCase();
+    switch (rule) {
+        case ScoringRule.PER_LETTER:
+            return { base: lowerWord.length * POINTS_PER_LETTER, bonus: 0 };
+        case ScoringRule.RARE_LETTERS: {
+            let bonus = 0;
+            for (const char of lowerWord) {
+                bonus += RARE_LETTER_BONUS[char] || 0;
+            }
+            return { base: lowerWord.length * POINTS_PER_LETTER, bonus };
+        }
+        case ScoringRule.FLAT:
+        default:
+            return { base: POINTS_PER_WORD, bonus: 0 };
+    }
+}
+
+/**
+ * Returns the multiplier for a streak of consecutive valid words
+ *
+ * @param {number} streak - The number of consecutive valid words including the current one
+ * @returns {number} The multiplier, 1 for the first word of a streak up to MAX_STREAK_MULTIPLIER
+ */
+function getStreakMultiplier(streak) {
+    if (!streak || streak <= 1) {
+        return 1;
+    }
+    return Math.min(1 + (streak - 1) * STREAK_STEP, MAX_STREAK_MULTIPLIER);
+}
+
+/**
+ * Scores a valid word according to the game settings
+ *
+ * @param {string} word - The (already validated) word
+ * @param {Object} settings - The scoring settings of the game
+ * @param {string} [settings.scoringRule='flat'] - One of the ScoringRule values
+ * @param {boolean} [settings.streakMultiplier=false] - Whether consecutive valid words multiply the points
+ * @param {number} [streak=1] - The number of consecutive valid words including this one
+ * @returns {{points: number, base: number, bonus: number, multiplier: number, streak: number}} The awarded points and how they were calculated
+ * @example
+ * scoreWord('jazz', { scoringRule: 'rare_letters', streakMultiplier: true }, 2);
+ * // { points: 19, base: 4, bonus: 9, multiplier: 1.5, streak: 2 }
+ */
+function scoreWord(word, settings = {}, streak = 1) {
+    const { base, bonus } = getBasePoints(word, settings.scoringRule || ScoringRule.FLAT);
+    const multiplier = settings.streakMultiplier ? getStreakMultiplier(streak) : 1;
+    return {
+        points: Math.floor((base + bonus) * multiplier),
+        base,
+        bonus,
+        multiplier,
+        streak
+    };
+}
+
+module.exports = {
+    isValidScoringRule,
+    scoreWord
+};
@@ -0,0 +1,75 @@
+const MAX_TEAMS = 4;
+const DEFAULT_TEAMS = 2; //new players are spread between the first two teams, players can switch to the others themselves
+
+/**
+ * Checks that every player is on a team, that there are at least two teams and that all of the teams are the same size (2v2, 3v3, ...)
+ *
+ * @param {string[]} playerIds - The IDs of the players in the game
+ * @param {Object<string, number>} teams - Maps every player ID to their team number (1 to MAX_TEAMS)
+ * @returns {{valid: boolean, reason: string}} An object indicating whether the teams are valid and the reason if they are not
+ */
+function validateTeams(playerIds, teams) {
+    if (!teams || typeof teams !== 'object') {
+        return {valid: false, reason: 'Teams are required in team mode'};
+    }
+    const teamSizes = new Map();
+    for (const playerId of playerIds) {
+        const team = teams[playerId];
+        if (!isValidTeam(team)) {
+            return {valid: false, reason: `Player ${playerId} is not on a valid team`};
+        }
+        teamSizes.set(team, (teamSizes.get(team) || 0) + 1);
+    }
+    if (teamSizes.size < 2) {
+        return {valid: false, reason: 'Team mode needs at least two teams'};
+    }
+    if (new Set(teamSizes.values()).size !== 1) {
+        return {valid: false, reason: 'All of the teams must have the same number of players'};
+    }
+    return {valid: true, reason: ''};
+}
+
+function isValidTeam(team) {
+    return Number.isInteger(team) && team >= 1 && team <= MAX_TEAMS;
+}
+
+/**
+ * Picks the team a new player should join, the smaller of the default teams
+ *
+ * @param {{team?: number}[]} players - The players that are already in the lobby
+ * @returns {number} The team number
+ */
+function pickTeam(players) {
+    let smallestTeam = 1;
+    let smallestSize = Infinity;
+    for (let team = 1; team <= DEFAULT_TEAMS; team++) {
+        const size = players.filter(player => player.team === team).length;
+        if (size < smallestSize) {
+            smallestSize = size;
+            smallestTeam = team;
+        }
+    }
+    return smallestTeam;
+}
+
+/**
+ * Adds up the points of every team
+ *
+ * @param {Map<string, {team: number, points: number}>} playerData - The player data of the game
+ * @returns {Object<number, number>} Maps every team number to the total points of its players
+ */
+function getTeamScores(playerData) {
+    const teamScores = {};
+    playerData.forEach(data => {
+        teamScores[data.team] = (teamScores[data.team] || 0) + data.points;
+    });
+    return teamScores;
+}
+
+module.exports = {
+    MAX_TEAMS,
+    validateTeams,
+    isValidTeam,
+    pickTeam,
+    getTeamScores
+};
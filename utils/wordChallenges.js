@@ -0,0 +1,204 @@
+const mongoose = require('mongoose');
+const { Game } = require('../models/Game');
+const WordChallenge = require('../models/WordChallenge');
+const ChallengeStatus = require('../types/challengeStatus');
+const { DEFAULT_GAME_MODE, getGameMode } = require('../gameModes');
+const logger = require('./logger');
+
+const MAX_RESULT_ATTEMPTS = 5; //how often the results of a game are worked out again when another correction got in first
+
+/**
+ * Decides a challenge from the votes of the players, a tie keeps the word.
+ * The challenger and the player who played the word cant vote, without any votes the challenge is left to the moderators.
+ *
+ * @param {{playerId: string, uphold: boolean}[]} votes - The votes on the challenge
+ * @returns {string} One of the ChallengeStatus values
+ */
+function getVoteOutcome(votes) {
+    if (votes.length === 0) {
+        return ChallengeStatus.PENDING;
+    }
+    const upholdVotes = votes.filter(vote => vote.uphold).length;
+    return upholdVotes > votes.length - upholdVotes ? ChallengeStatus.UPHELD : ChallengeStatus.REJECTED;
+}
+
+function getPlayerId(player) {
+    return player.user ? player.user.toString() : (player.guestId || player.bot);
+}
+
+/**
+ * Works out the results of a finished game again from the players on its Game document, with the hook of the mode it was played in.
+ * The mode gets a game object with only what the document keeps: the points, teams and placements of the players and the elimination order.
+ *
+ * @param {Object} gameDoc - The Game document
+ * @returns {Object} The results, see getResults in gameModes/index.js
+ */
+function recalculateResults(gameDoc) {
+    const eliminationOrder = gameDoc.eliminationOrder || [];
+    const playerData = new Map(gameDoc.players.map(player => [getPlayerId(player), {
+        points: player.points,
+        team: player.team,
+        placement: player.placement,
+        eliminated: eliminationOrder.includes(getPlayerId(player))
+    }]));
+    const mode = getGameMode(gameDoc.mode) || getGameMode(DEFAULT_GAME_MODE);
+    return mode.getResults({
+        teamMode: gameDoc.teamMode,
+        playerData,
+        modeState: { eliminationOrder: [...eliminationOrder] }
+    });
+}
+
+/**
+ * Matches the entry of a player in the players array of a Game document, whether they played as a user, a guest or a bot
+ *
+ * @param {string} playerId - The user id, guest id or bot id of the player
+ * @returns {Object} The $elemMatch for the players field
+ */
+function matchPlayer(playerId) {
+    const ids = [{ guestId: playerId }, { bot: playerId }];
+    if (mongoose.Types.ObjectId.isValid(playerId)) {
+        ids.push({ user: playerId });
+    }
+    return { $elemMatch: { $or: ids } };
+}
+
+/**
+ * Saves the winner and the placements worked out from the players' points, only if nobody changed the game since it was read,
+ * otherwise the game is read again and the results are worked out from the newer points
+ *
+ * @async
+ * @param {Object} game - The Game document as a plain object
+ * @throws {Error} If the game keeps changing or is gone
+ */
+async function saveGameResults(game) {
+    for (let attempt = 0; attempt < MAX_RESULT_ATTEMPTS; attempt++) {
+        const results = recalculateResults(game);
+        const winner = results.winner ? game.players.find(player => getPlayerId(player) === results.winner) : null;
+        const update = { $set: {}, $unset: {}, $inc: { __v: 1 } };
+        if (winner) {
+            update.$set.winner = { user: winner.user, guestId: winner.guestId, bot: winner.bot };
+        } else {
+            update.$unset.winner = '';
+        }
+        if (results.winningTeam) {
+            update.$set.winningTeam = results.winningTeam;
+        } else {
+            update.$unset.winningTeam = '';
+        }
+        if (results.placements) {
+            game.players.forEach((player, index) => {
+                update.$set[`players.${index}.placement`] = results.placements[getPlayerId(player)];
+            });
+        }
+        Object.keys(update).filter(operator => Object.keys(update[operator]).length === 0).forEach(operator => delete update[operator]);
+        const { matchedCount } = await Game.updateOne({ _id: game._id, __v: game.__v }, update);
+        if (matchedCount > 0) {
+            return;
+        }
+        game = await Game.findById(game._id).lean();
+        if (!game) {
+            throw new Error('Game not found');
+        }
+    }
+    throw new Error(`Game ${game._id} kept changing while its results were corrected`);
+}
+
+/**
+ * Takes the points of a challenged word back from the player (or gives them back) and corrects the winner and placements of the game.
+ * The points and words are changed in a single update, so moderators resolving challenges of the same game at once dont undo each other's corrections.
+ *
+ * @async
+ * @param {Object} challenge - The WordChallenge document
+ * @param {boolean} revoke - True to take the word back, false to give it back
+ * @throws {Error} If the game or the player cant be found
+ */
+async function correctGameResult(challenge, revoke) {
+    const points = revoke ? -challenge.points : challenge.points;
+    const words = revoke
+        ? { $pull: { 'players.$.words': challenge.word }, $push: { 'players.$.revokedWords': challenge.word } }
+        : { $push: { 'players.$.words': challenge.word }, $pull: { 'players.$.revokedWords': challenge.word } };
+    const game = await Game.findOneAndUpdate(
+        { _id: challenge.game, players: matchPlayer(challenge.playerId) },
+        { $inc: { 'players.$.points': points, __v: 1 }, ...words },
+        { new: true }
+    ).lean();
+    if (!game) {
+        throw new Error(`Player ${challenge.playerId} is not in game ${challenge.game}`);
+    }
+    await saveGameResults(game);
+    logger.info(`${revoke ? 'Took back' : 'Gave back'} the word ${challenge.word} (${challenge.points} points) of player ${challenge.playerId} in game ${challenge.game}`);
+}
+
+/**
+ * Logs the challenges of a finished game to the review queue once the players voted on them, the upheld ones are taken off the game's results.
+ * The challenges are saved one after the other since they can correct the same Game document.
+ *
+ * @async
+ * @param {string} gameId - The ID of the game
+ * @param {string} language - The language code of the game
+ * @param {{challengeId: string, word: string, playerId: string, username: string, challengedBy: string, points: number, votes: {playerId: string, uphold: boolean}[]}[]} challenges - The challenges with their votes
+ */
+async function recordChallenges(gameId, language, challenges) {
+    for (const { challengeId, ...challengeData } of challenges) {
+        try {
+            const challenge = await WordChallenge.create({
+                _id: challengeId,
+                game: gameId,
+                language,
+                ...challengeData,
+                status: getVoteOutcome(challengeData.votes)
+            });
+            if (challenge.status === ChallengeStatus.UPHELD) {
+                await correctGameResult(challenge, true);
+            }
+            logger.info(`Challenge of the word ${challenge.word} in game ${gameId} logged to the review queue as ${challenge.status}`);
+        } catch (err) {
+            logger.error(`Error recording the challenge of the word ${challengeData.word} in game ${gameId}: ${err}`);
+        }
+    }
+}
+
+/**
+ * Resolves a challenge from the review queue, correcting the game's results if the decision differs from the players' vote.
+ * The points of a word are only ever taken back while its challenge is upheld, if the correction fails the challenge is left as it was.
+ *
+ * @async
+ * @param {string} challengeId - The ID of the challenge
+ * @param {boolean} upheld - True if the word shouldnt count
+ * @param {string} reviewerId - The ID of the moderator
+ * @param {string} [note] - The reason for the decision
+ * @returns {Promise<Object|null>} The resolved challenge, null if there is no such challenge
+ */
+async function resolveChallenge(challengeId, upheld, reviewerId, note) {
+    const challenge = await WordChallenge.findById(challengeId);
+    if (!challenge) {
+        return null;
+    }
+    const status = upheld ? ChallengeStatus.UPHELD : ChallengeStatus.REJECTED;
+    //the status only changes if nobody else changed it since it was read, so a word is never taken back or given back twice
+    const resolved = await WordChallenge.findOneAndUpdate(
+        { _id: challengeId, status: challenge.status },
+        { status, reviewed: true, reviewedBy: reviewerId, reviewedAt: new Date(), note },
+        { new: true }
+    );
+    if (!resolved) {
+        return resolveChallenge(challengeId, upheld, reviewerId, note);
+    }
+    if ((challenge.status === ChallengeStatus.UPHELD) !== upheld) {
+        try {
+            await correctGameResult(challenge, upheld);
+        } catch (err) {
+            await WordChallenge.updateOne({ _id: challengeId, status }, { status: challenge.status, reviewed: challenge.reviewed });
+            throw err;
+        }
+    }
+    logger.info(`Moderator ${reviewerId} resolved the challenge ${challengeId} of the word ${challenge.word} as ${status}`);
+    return resolved;
+}
+
+module.exports = {
+    getVoteOutcome,
+    recordChallenges,
+    resolveChallenge
+};
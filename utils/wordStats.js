@@ -0,0 +1,91 @@
+const DEFAULT_SAMPLE_SIZE = 5;
+//a letter contained in less than this share of a language's words is worth these rarity points,
+//the tiers give english about the same rare letters as the rare_letters scoring rule
+const RARITY_TIERS = Object.freeze([[0.05, 3], [0.1, 2], [0.2, 1]]);
+
+/**
+ * Picks the first count items in the order of compare without sorting all of them, the word lists can have hundreds of thousands of words
+ *
+ * @param {Iterable} items - The items to pick from
+ * @param {number} count - How many items to return
+ * @param {function(*, *): number} compare - Sort comparator, ties keep the order of items
+ * @returns {Array} The first count items in sorted order
+ */
+function pickTop(items, count, compare) {
+    const top = [];
+    for (const item of items) {
+        if (top.length === count && compare(item, top[top.length - 1]) >= 0) {
+            continue;
+        }
+        let index = top.length;
+        while (index > 0 && compare(item, top[index - 1]) < 0) {
+            index--;
+        }
+        top.splice(index, 0, item);
+        if (top.length > count) {
+            top.pop();
+        }
+    }
+    return top;
+}
+
+/**
+ * Works out how rare every letter of a language is from the share of its words that contain the letter
+ *
+ * @param {[number, number][]} letterMasks - Every distinct letter set of the dictionary as [mask, wordCount] pairs, see getLetterMasks in utils/lexicon.js
+ * @param {string} letters - The letters of the alphabet, the first letter is bit 0 of the masks
+ * @returns {Map<string, number>} Maps the rare letters to their rarity points, common letters are left out
+ */
+function getLetterRarity(letterMasks, letters) {
+    const letterList = Array.from(letters);
+    const letterCounts = new Array(letterList.length).fill(0);
+    let totalWords = 0;
+    letterMasks.forEach(([mask, wordCount]) => {
+        totalWords += wordCount;
+        letterList.forEach((letter, bit) => {
+            if (mask & (1 << bit)) {
+                letterCounts[bit] += wordCount;
+            }
+        });
+    });
+    const rarity = new Map();
+    letterList.forEach((letter, bit) => {
+        const tier = RARITY_TIERS.find(([share]) => letterCounts[bit] < totalWords * share);
+        if (tier) {
+            rarity.set(letter, tier[1]);
+        }
+    });
+    return rarity;
+}
+
+/**
+ * Orders items by a whole number score, highest first, without comparing them, so it stays fast on a whole dictionary
+ *
+ * @param {number[]} scores - The score of every item
+ * @returns {Uint32Array} The indexes of the items with a score above 0, highest score first, ties keep their order
+ */
+function rankByScore(scores) {
+    const buckets = [];
+    let rankedCount = 0;
+    scores.forEach((score, index) => {
+        if (score > 0) {
+            (buckets[score] = buckets[score] || []).push(index);
+            rankedCount++;
+        }
+    });
+    const ranking = new Uint32Array(rankedCount);
+    let position = 0;
+    for (let score = buckets.length - 1; score > 0; score--) {
+        (buckets[score] || []).forEach(index => {
+            ranking[position++] = index;
+        });
+    }
+    return ranking;
+}
+
+module.exports = {
+    DEFAULT_SAMPLE_SIZE,
+    pickTop,
+    getLetterRarity,
+    rankByScore
+};
@@ -1,7 +1,7 @@
 const fs = require('fs');
 const path = require('path');
+const logger = require('./logger');
 const wordsPath = path.join(__dirname, 'words.txt');
-const letterPath = path.join(__dirname, 'letters.json')
 
 /**
  * Loads a dictionary from a specified file path and returns a set of words.
@@ -17,7 +17,7 @@ function loadDictionary(altPath = wordsPath) {
 
     try {
         const data = fs.readFileSync(resolvedPath, 'utf8');
-        const words = data.split(/\r?\n/).map(word => word.trim().toLowerCase()).filter(Boolean);
+        const words = data.split(/\r?\n/).map(word => word.trim().toLowerCase().normalize('NFC')).filter(Boolean);
         console.log(`Successfully loaded dictionary from ${altPath}`);
         return new Set(words); //o(1) lookups baby!!!
     } catch (error) {
@@ -26,26 +26,33 @@ function loadDictionary(altPath = wordsPath) {
     }
 }
 
-function loadLetterTreeSync(altPath = letterPath) {
-    const resolvedPath = path.resolve(altPath);
+/**
+ * Loads a definitions file: one word per line followed by a tab and a short definition, e.g. "aardvark\tA burrowing African mammal that eats ants".
+ * The file is optional, a missing file just means there are no definitions.
+ *
+ * @param {string} filePath - The path of the definitions file
+ * @returns {Map<string, string>} Maps lowercase words to their definition, the first definition of a word wins
+ */
+function loadDefinitions(filePath) {
+    const definitions = new Map();
+    const resolvedPath = path.resolve(filePath);
     if (!fs.existsSync(resolvedPath)) {
-      throw new Error(`Tree file '${altPath}' not found.`);
+        return definitions;
     }
-    
-    try {
-      const fileContent = fs.readFileSync(resolvedPath, 'utf8');
-      const tree = JSON.parse(fileContent);
-      if (!tree || typeof tree !== 'object' || !tree.root) {
-        console.warn("Warning: Tree structure may not be in the expected format (missing 'root' node)");
-      }
-      console.log(`Successfully loaded letter tree from ${altPath}`);
-      return tree;
-    } catch (error) {
-      if (error instanceof SyntaxError) {
-        throw new Error(`Error parsing JSON file: ${error.message}`);
-      }
-      throw error;
+    const data = fs.readFileSync(resolvedPath, 'utf8');
+    for (const line of data.split(/\r?\n/)) {
+        const separator = line.indexOf('\t');
+        if (separator <= 0) { //blank or malformed line
+            continue;
+        }
+        const word = line.slice(0, separator).trim().toLowerCase().normalize('NFC');
+        const definition = line.slice(separator + 1).trim();
+        if (word && definition && !definitions.has(word)) {
+            definitions.set(word, definition);
+        }
     }
+    logger.info(`Loaded ${definitions.size} definitions from ${filePath}`);
+    return definitions;
 }
 
 /**
@@ -72,24 +79,27 @@ function getNextTierCombos(tree, letters) {
     return nextLetters.map(nextLetter => letters + nextLetter);
 }
 
-function isValidWord(word, letters, dict){
-  const lowerWord = word.toLowerCase();
-  const lowerLetters = letters.toLowerCase();
-
-  if(!dict.has(lowerWord)){
+/**
+ * Checks if a word is in the dictionary and contains at least one instance of all the letters given
+ *
+ * @param {string} word - The word to validate
+ * @param {string} letters - The letters the word must contain
+ * @param {Object} lexicon - The lexicon of the word's language, see utils/lexicon.js
+ * @returns {{valid: boolean, reason: string}} An object indicating whether the word is valid and the reason if it is not
+ */
+function isValidWord(word, letters, lexicon){
+  if(!lexicon.has(word)){
       return {valid: false, reason: `${word} is not a word!`};
   }
-  for (const char of lowerLetters) {
-      if (!lowerWord.includes(char)) {
-        return {valid: false, reason: `${word} doesnt contain the letter: ${char}!`};
-      }
+  if(!lexicon.containsLetters(word, letters)){
+      return {valid: false, reason: `${word} doesnt contain the letter: ${lexicon.alphabet.findMissingLetter(word, letters)}!`};
   }
   return {valid: true, reason: ''};
 }
 
 module.exports = {
     loadDictionary,
-    loadLetterTreeSync,
+    loadDefinitions,
     getNextTierCombos,
     isValidWord
 };
\ No newline at end of file